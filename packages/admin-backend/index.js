@@ -2,32 +2,91 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createJWTMiddleware } from 'stork-jwt-middleware';
+import { createLogger, createRequestContext } from 'stork-logger';
+import { createMetricsRegistry, createMetricsHandler } from 'stork-metrics';
+import { createManagementRouter } from './routes/management.js';
 
 const PORT = process.env.PORT || 3002;
-const PROVIDER_URL = process.env.PROVIDER_URL || 'http://localhost:3000';
+// Область auth-service (пусто - основная): пользователи, приложения и issuer области /realms/<name>
+const AUTH_REALM = process.env.AUTH_REALM || '';
+const REALM_PATH = AUTH_REALM ? `/realms/${AUTH_REALM}` : '';
+const PROVIDER_URL = `${(process.env.PROVIDER_URL || 'http://localhost:3000').replace(/\/$/, '')}${REALM_PATH}`;
 const CLIENT_ID = process.env.CLIENT_ID || 'admin-ui';
+const CLIENT_SECRET = process.env.CLIENT_SECRET || 'admin-ui-secret';
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL ? `${process.env.AUTH_SERVICE_URL.replace(/\/$/, '')}${REALM_PATH}` : PROVIDER_URL;
+// Resource indicator этого API: audience access токенов, которые выдает auth-service
+const API_RESOURCE = process.env.API_RESOURCE || 'http://localhost:3002/api';
+// Проверка отзыва токенов: denylist (присылает auth-service) или none
+const REVOCATION_CHECK = process.env.REVOCATION_CHECK || 'denylist';
+// Политика ролей и разрешений API (JSON); без нее разрешения берутся из claim permissions токена
+const POLICY_FILE = process.env.POLICY_FILE;
+
+// Логи: уровень debug/info/warn/error/silent, формат json (по умолчанию) или pretty
+const logger = createLogger({
+  name: 'admin-backend',
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json',
+});
+
+// Метрики Prometheus (GET /metrics): результаты проверки токенов и загрузка JWKS в jwt-middleware
+// METRICS_TOKEN - если задан, /metrics требует Authorization: Bearer <token>
+const metrics = createMetricsRegistry();
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 
 // Создаем JWT middleware с конфигурацией
-const { validateJWT, requireRole } = createJWTMiddleware({
+// API принимает только JWT access токены, выданные для API_RESOURCE (ID токены отклоняются)
+const {
+  validateJWT,
+  validateJWTWith,
+  requireRole,
+  requirePermission,
+  requireScope,
+  handleBackchannelLogout,
+  handleRevocationPush,
+  checkReady,
+  close: closeJWTMiddleware,
+} = createJWTMiddleware({
   providerUrl: PROVIDER_URL,
   clientId: CLIENT_ID,
+  clientSecret: CLIENT_SECRET,
+  tokenType: 'access_token',
+  audience: API_RESOURCE,
+  revocationCheck: REVOCATION_CHECK,
+  policyFile: POLICY_FILE,
+  logger,
+  metrics,
 });
 
+// Management API (/api/admin/*) всегда проверяет отзыв токена, независимо от REVOCATION_CHECK
+const validateJWTStrict = validateJWTWith({ revocationCheck: 'denylist' });
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Идентификатор запроса (X-Request-Id) и req.log - до остальных middleware, чтобы он был во всех записях
+app.use(createRequestContext(logger));
+
 // Middleware для парсинга body
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 
 // Публичный endpoint (без валидации)
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// 503, если API не может проверять токены: provider недоступен и ключей в кеше нет
+app.get('/api/health', async (req, res) => {
+  const provider = await checkReady();
+  res.status(provider.ready ? 200 : 503).json({
+    status: provider.ready ? 'ok' : 'unavailable',
+    timestamp: new Date().toISOString(),
+    provider,
+  });
 });
 
+// Метрики для Prometheus
+app.get('/metrics', createMetricsHandler(metrics, { token: METRICS_TOKEN }));
+
 // Публичный endpoint для получения конфигурации авторизации
 app.get('/api/config', (req, res) => {
   res.json({
@@ -37,6 +96,12 @@ app.get('/api/config', (req, res) => {
 });
 
 
+// Back-channel logout: auth-service сообщает о завершенной сессии (токены с этим sid отклоняются)
+app.post('/api/backchannel-logout', handleBackchannelLogout);
+
+// Отозванные токены (jti/sid/sub) от auth-service, запрос аутентифицируется client_id и secret
+app.post('/api/revocations', handleRevocationPush);
+
 // Защищенный endpoint (требует JWT)
 app.get('/api/user', validateJWT, (req, res) => {
   res.json({
@@ -46,7 +111,8 @@ app.get('/api/user', validateJWT, (req, res) => {
 });
 
 // Защищенный endpoint только для admin
-app.get('/api/admin', validateJWT, requireRole('admin'), (req, res) => {
+// Разрешение - по ролям пользователя, scope - выданный приложению доступ к API
+app.get('/api/admin', validateJWT, requirePermission('admin'), requireScope('admin'), (req, res) => {
   res.json({
     message: 'Admin endpoint',
     user: req.user,
@@ -56,8 +122,8 @@ app.get('/api/admin', validateJWT, requireRole('admin'), (req, res) => {
   });
 });
 
-// Защищенный endpoint для admin и user
-app.get('/api/data', validateJWT, requireRole('admin', 'user'), (req, res) => {
+// Защищенный endpoint для ролей с разрешением data:read (viewer и унаследовавшие ее user, admin)
+app.get('/api/data', validateJWT, requirePermission('data:read'), requireScope('data:read'), (req, res) => {
   res.json({
     message: 'Protected data',
     user: req.user,
@@ -68,7 +134,7 @@ app.get('/api/data', validateJWT, requireRole('admin', 'user'), (req, res) => {
 });
 
 // Пример POST endpoint
-app.post('/api/data', validateJWT, requireRole('admin', 'user'), (req, res) => {
+app.post('/api/data', validateJWT, requirePermission('data:write'), requireScope('data:write'), (req, res) => {
   res.json({
     message: 'Data created',
     user: req.user,
@@ -76,6 +142,15 @@ app.post('/api/data', validateJWT, requireRole('admin', 'user'), (req, res) => {
   });
 });
 
+// Управление пользователями, приложениями и ролями (чтение - admin/user, изменения - только admin)
+app.use('/api/admin', createManagementRouter({
+  authServiceUrl: AUTH_SERVICE_URL,
+  clientId: CLIENT_ID,
+  clientSecret: CLIENT_SECRET,
+  validateJWT: validateJWTStrict,
+  requireRole,
+}));
+
 // Раздача статических файлов admin-ui (после API routes)
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -88,16 +163,30 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Admin Backend API running at http://localhost:${PORT}`);
-  console.log(`Admin UI available at http://localhost:${PORT}`);
-  console.log(`\nAPI Endpoints:`);
-  console.log(`  GET  /api/health      - Public health check`);
-  console.log(`  GET  /api/config      - Get auth configuration (public)`);
-  console.log(`  GET  /api/user        - Get user info (requires JWT)`);
-  console.log(`  GET  /api/admin       - Admin only (requires JWT + admin role)`);
-  console.log(`  GET  /api/data        - Protected data (requires JWT + admin/user role)`);
-  console.log(`  POST /api/data        - Create data (requires JWT + admin/user role)`);
-  console.log(`\nUsage:`);
-  console.log(`  curl -H "Authorization: Bearer <JWT_TOKEN>" http://localhost:${PORT}/api/user`);
+const server = app.listen(PORT, () => {
+  logger.info('Admin Backend API started', {
+    url: `http://localhost:${PORT}`,
+    providerUrl: PROVIDER_URL,
+    authServiceUrl: AUTH_SERVICE_URL,
+    audience: API_RESOURCE,
+    revocationCheck: REVOCATION_CHECK,
+  });
+  logger.info('API endpoints', {
+    public: ['GET /api/health', 'GET /api/config', 'POST /api/backchannel-logout', 'POST /api/revocations', 'GET /metrics'],
+    protected: ['GET /api/user', 'GET /api/admin', 'GET /api/data', 'POST /api/data'],
+    management: ['/api/admin/users', '/api/admin/groups', '/api/admin/applications', '/api/admin/roles', '/api/admin/revocations', '/api/admin/lockouts', '/api/admin/audit'],
+  });
 });
+
+// Graceful shutdown: перестаем принимать запросы и останавливаем таймеры JWT middleware
+function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  server.close(async () => {
+    await closeJWTMiddleware();
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
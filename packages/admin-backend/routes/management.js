@@ -0,0 +1,114 @@
+// Admin REST API для управления пользователями, группами, приложениями и ролями
+//
+// Данные хранятся в auth-service: запросы проксируются в его Management API
+// с учетными данными клиента admin-backend, поэтому изменения действуют со следующего логина.
+// Чтение доступно ролям из readRoles (по умолчанию admin и user), изменения и журнал аудита - только admin.
+
+import express from 'express';
+
+export function createManagementRouter({
+  authServiceUrl,
+  clientId,
+  clientSecret,
+  validateJWT,
+  requireRole,
+  readRoles = ['admin', 'user'],
+}) {
+  if (!authServiceUrl || !clientId || !clientSecret) {
+    throw new Error('createManagementRouter requires authServiceUrl, clientId and clientSecret');
+  }
+
+  const router = express.Router();
+  const credentials = Buffer.from(
+    `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+  ).toString('base64');
+
+  router.use(validateJWT);
+  const canRead = requireRole(...readRoles);
+  const canWrite = requireRole('admin');
+
+  // Проксирование запроса в Management API auth-service
+  async function forward(req, res, method, path) {
+    // authServiceUrl может содержать путь области (/realms/<name>)
+    const url = new URL(`${authServiceUrl.replace(/\/$/, '')}/manage${path}`);
+    for (const [key, value] of Object.entries(req.query)) {
+      url.searchParams.set(key, value);
+    }
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/json',
+          'X-Actor': req.user.sub,
+          'X-Actor-IP': req.ip,
+          // Идентификатор запроса: записи логов admin-backend и auth-service связаны одним requestId
+          ...(req.id ? { 'X-Request-Id': req.id } : {}),
+        },
+        body: ['POST', 'PUT', 'PATCH'].includes(method) ? JSON.stringify(req.body || {}) : undefined,
+      });
+
+      if (response.status === 204) {
+        return res.status(204).end();
+      }
+      const data = await response.json().catch(() => ({}));
+      res.status(response.status).json(data);
+    } catch (error) {
+      req.log.error('Management API request failed', { method, path, message: error.message });
+      res.status(502).json({
+        error: 'auth_service_unavailable',
+        message: 'Auth service is not available',
+      });
+    }
+  }
+
+  const id = (value) => encodeURIComponent(value);
+
+  // Пользователи
+  router.get('/users', canRead, (req, res) => forward(req, res, 'GET', '/users'));
+  router.post('/users', canWrite, (req, res) => forward(req, res, 'POST', '/users'));
+  router.get('/users/:userId', canRead, (req, res) => forward(req, res, 'GET', `/users/${id(req.params.userId)}`));
+  router.patch('/users/:userId', canWrite, (req, res) => forward(req, res, 'PATCH', `/users/${id(req.params.userId)}`));
+  router.post('/users/:userId/unlock', canWrite, (req, res) => forward(req, res, 'POST', `/users/${id(req.params.userId)}/unlock`));
+  router.delete('/users/:userId/mfa', canWrite, (req, res) => forward(req, res, 'DELETE', `/users/${id(req.params.userId)}/mfa`));
+
+  // Приложения (OIDC clients)
+  router.get('/applications', canRead, (req, res) => forward(req, res, 'GET', '/applications'));
+  router.post('/applications', canWrite, (req, res) => forward(req, res, 'POST', '/applications'));
+  router.get('/applications/:clientId', canRead, (req, res) => forward(req, res, 'GET', `/applications/${id(req.params.clientId)}`));
+  router.patch('/applications/:clientId', canWrite, (req, res) => forward(req, res, 'PATCH', `/applications/${id(req.params.clientId)}`));
+  router.post('/applications/:clientId/rotate-secret', canWrite, (req, res) => forward(req, res, 'POST', `/applications/${id(req.params.clientId)}/rotate-secret`));
+
+  // Resource servers (API), для которых приложения получают access токены
+  router.get('/resource-servers', canRead, (req, res) => forward(req, res, 'GET', '/resource-servers'));
+
+  // Роли: пользователь -> приложение -> роли
+  router.get('/roles', canRead, (req, res) => forward(req, res, 'GET', '/roles'));
+  router.get('/roles/:userId/:clientId', canRead, (req, res) => forward(req, res, 'GET', `/roles/${id(req.params.userId)}/${id(req.params.clientId)}`));
+  router.put('/roles/:userId/:clientId', canWrite, (req, res) => forward(req, res, 'PUT', `/roles/${id(req.params.userId)}/${id(req.params.clientId)}`));
+  router.delete('/roles/:userId/:clientId', canWrite, (req, res) => forward(req, res, 'DELETE', `/roles/${id(req.params.userId)}/${id(req.params.clientId)}`));
+
+  // Группы: участники и роли группы в приложениях
+  router.get('/groups', canRead, (req, res) => forward(req, res, 'GET', '/groups'));
+  router.post('/groups', canWrite, (req, res) => forward(req, res, 'POST', '/groups'));
+  router.get('/groups/:id', canRead, (req, res) => forward(req, res, 'GET', `/groups/${id(req.params.id)}`));
+  router.patch('/groups/:id', canWrite, (req, res) => forward(req, res, 'PATCH', `/groups/${id(req.params.id)}`));
+  router.delete('/groups/:id', canWrite, (req, res) => forward(req, res, 'DELETE', `/groups/${id(req.params.id)}`));
+  router.put('/groups/:id/members/:userId', canWrite, (req, res) => forward(req, res, 'PUT', `/groups/${id(req.params.id)}/members/${id(req.params.userId)}`));
+  router.delete('/groups/:id/members/:userId', canWrite, (req, res) => forward(req, res, 'DELETE', `/groups/${id(req.params.id)}/members/${id(req.params.userId)}`));
+  router.put('/groups/:id/roles/:clientId', canWrite, (req, res) => forward(req, res, 'PUT', `/groups/${id(req.params.id)}/roles/${id(req.params.clientId)}`));
+  router.delete('/groups/:id/roles/:clientId', canWrite, (req, res) => forward(req, res, 'DELETE', `/groups/${id(req.params.id)}/roles/${id(req.params.clientId)}`));
+
+  // Отзыв access токенов (jti, sid или sub)
+  router.post('/revocations', canWrite, (req, res) => forward(req, res, 'POST', '/revocations'));
+
+  // Блокировки после неудачных попыток входа
+  router.get('/lockouts', canRead, (req, res) => forward(req, res, 'GET', '/lockouts'));
+
+  // Журнал аудита: event, outcome, actor, subject, client_id, ip, from, to, offset, limit
+  // Записи содержат логины, IP и действия всех пользователей, поэтому журнал доступен только admin
+  router.get('/audit', canWrite, (req, res) => forward(req, res, 'GET', '/audit'));
+
+  return router;
+}
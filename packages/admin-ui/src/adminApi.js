@@ -0,0 +1,89 @@
+// Вызовы Management API admin-backend (/api/admin/*)
+// Response interceptor уже возвращает response.data
+
+import { apiClient } from './apiClient.js';
+
+const id = (value) => encodeURIComponent(value);
+
+// Пользователи
+export function listUsers({ search = '', offset = 0, limit = 20 } = {}) {
+  return apiClient.get('/admin/users', { params: { search, offset, limit } });
+}
+
+export function getUser(userId) {
+  return apiClient.get(`/admin/users/${id(userId)}`);
+}
+
+export function createUser(user) {
+  return apiClient.post('/admin/users', user);
+}
+
+export function updateUser(userId, patch) {
+  return apiClient.patch(`/admin/users/${id(userId)}`, patch);
+}
+
+export function unlockUser(userId) {
+  return apiClient.post(`/admin/users/${id(userId)}/unlock`);
+}
+
+export function resetUserMfa(userId) {
+  return apiClient.delete(`/admin/users/${id(userId)}/mfa`);
+}
+
+// Приложения (OIDC clients)
+export function listApplications() {
+  return apiClient.get('/admin/applications');
+}
+
+export function createApplication(application) {
+  return apiClient.post('/admin/applications', application);
+}
+
+export function updateApplication(clientId, patch) {
+  return apiClient.patch(`/admin/applications/${id(clientId)}`, patch);
+}
+
+export function rotateApplicationSecret(clientId) {
+  return apiClient.post(`/admin/applications/${id(clientId)}/rotate-secret`);
+}
+
+// Роли (у пользователя в приложении может быть несколько ролей)
+export function setUserRoles(userId, clientId, roles) {
+  return apiClient.put(`/admin/roles/${id(userId)}/${id(clientId)}`, { roles });
+}
+
+export function removeUserRoles(userId, clientId) {
+  return apiClient.delete(`/admin/roles/${id(userId)}/${id(clientId)}`);
+}
+
+// Группы (роли группы в приложениях получают все ее участники)
+export function listGroups() {
+  return apiClient.get('/admin/groups');
+}
+
+export function createGroup(group) {
+  return apiClient.post('/admin/groups', group);
+}
+
+export function addGroupMember(groupId, userId) {
+  return apiClient.put(`/admin/groups/${id(groupId)}/members/${id(userId)}`);
+}
+
+export function removeGroupMember(groupId, userId) {
+  return apiClient.delete(`/admin/groups/${id(groupId)}/members/${id(userId)}`);
+}
+
+export function setGroupRoles(groupId, clientId, roles) {
+  return apiClient.put(`/admin/groups/${id(groupId)}/roles/${id(clientId)}`, { roles });
+}
+
+// Блокировки
+export function listLockouts() {
+  return apiClient.get('/admin/lockouts');
+}
+
+// Журнал аудита (фильтры: event, outcome, actor, subject, client_id, ip, from, to, offset, limit)
+export function listAuditEvents(filters = {}) {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== null));
+  return apiClient.get('/admin/audit', { params });
+}
@@ -1,7 +1,16 @@
+import { errors } from 'oidc-provider';
+import { ACR_PASSWORD, ACR_MFA } from './services/mfa.js';
+import { createOidcAdapter } from './store/oidc-adapter.js';
+import { getRedirectUrls } from './services/redirects.js';
+import { normalizeRoles, resolveResourcePermissions, resolveUserRoles } from './services/roles.js';
+import { resolveBranding } from './services/pages.js';
+
 // Конфигурация OIDC Provider
-// В продакшене использовать БД вместо статических данных
+// Пользователи, приложения и роли читаются из хранилища (см. store/)
+// Статические данные ниже используются только как начальные (seed) данные хранилища
 
-// Список пользователей (в продакшене использовать БД)
+// Начальный список пользователей
+// Пароли указаны в открытом виде только для демо: в хранилище попадают их scrypt-хеши
 export const users = [
   { id: 'user1', name: 'User One', email: 'user1@example.com', password: 'pass1' },
   { id: 'user2', name: 'User Two', email: 'user2@example.com', password: 'pass2' },
@@ -9,72 +18,165 @@ export const users = [
 ];
 
 // Список приложений (clients)
+// Адреса ниже - для локального запуска, при развертывании они задаются в настройках (clients в settings.js)
 export const applications = [
   { 
     client_id: 'demo-client', 
     name: 'Demo Application', 
     secret: 'demo-secret',
     redirect_url: 'http://localhost:3002/', // URL для переадресации после успешного логина
+    first_party: true, // Собственное приложение: согласие пользователя выдается без экрана согласия
   },
   { 
     client_id: 'filebump-admin', 
     name: 'Application 2', 
     secret: 'app2-secret',
     redirect_url: 'http://localhost:33033/', // URL для переадресации после успешного логина
+    first_party: true,
+    mfa_required_roles: ['admin'], // Роли, для которых обязателен второй фактор (TOTP)
   },
   { 
     client_id: 'admin-ui', 
     name: 'Admin UI', 
     secret: 'admin-ui-secret',
     redirect_url: 'http://localhost:3002/', // URL для переадресации после успешного логина
+    redirect_urls: ['http://localhost:3003/'], // Дополнительные адреса возврата (admin-ui в dev режиме)
+    mfa_required_roles: ['admin'], // Роли, для которых обязателен второй фактор (TOTP)
+    first_party: true,
+    management_api: true, // admin-backend использует учетные данные этого клиента для Management API
+    resource: 'http://localhost:3002/api', // API, для которого приложение получает JWT access token
+    backchannel_logout_uri: 'http://localhost:3002/api/backchannel-logout', // Уведомление API о завершении сессии
+    revocation_push_uri: 'http://localhost:3002/api/revocations', // Список отозванных токенов для API (denylist)
   },
 ];
 
-// Маппинг: пользователь -> приложение -> роль
-// В продакшене использовать БД с таблицей user_app_roles
+// Resource servers (API), для которых выдаются access токены в формате JWT
+// identifier - resource indicator (RFC 8707), он же audience токена
+// roles - роли пользователей приложения: разрешения (они же scope API) и унаследованные роли
+// (см. services/roles.js)
+export const resourceServers = [
+  {
+    identifier: 'http://localhost:3002/api',
+    name: 'Admin Backend API',
+    scopes: ['data:read', 'data:write', 'admin'],
+    roles: {
+      viewer: { permissions: ['data:read'] },
+      user: { inherits: ['viewer'], permissions: ['data:write'] },
+      admin: { inherits: ['user'], permissions: ['admin'] },
+    },
+    access_token_ttl: 60 * 60, // 1 час
+  },
+];
+
+// Начальный маппинг: пользователь -> приложение -> роли
 export const userAppRoles = {
   'user1': {
-    'demo-client': 'user',
-    'app2': 'viewer',
-    'admin-ui': 'user',
+    'demo-client': ['user'],
+    'app2': ['viewer'],
+    'admin-ui': ['user'],
   },
   'user2': {
-    'demo-client': 'admin',
-    'app2': 'user',
-    'admin-ui': 'admin',
+    'demo-client': ['admin'],
+    'app2': ['user'],
+    'admin-ui': ['admin'],
   },
   'admin': {
-    'demo-client': 'admin',
-    'app2': 'admin',
-    'admin-ui': 'admin',
-    'filebump-admin': 'admin',
+    'demo-client': ['admin'],
+    'app2': ['admin'],
+    'admin-ui': ['admin'],
+    'filebump-admin': ['admin'],
+  },
+};
+
+// Начальные группы: роли группы в приложениях получают все ее участники
+export const groups = [
+  {
+    id: 'staff',
+    name: 'Staff',
+    members: ['user1', 'user2'],
+    roles: {
+      'filebump-admin': ['viewer'],
+    },
   },
+];
+
+// Начальные данные для хранилища
+export const seedData = {
+  users,
+  applications,
+  userAppRoles,
+  groups,
+  resourceServers,
 };
 
-// Маппинг client_id -> redirect_url для быстрого доступа
-export function createClientRedirectUrls(applications) {
-  const clientRedirectUrls = {};
-  applications.forEach(app => {
-    clientRedirectUrls[app.client_id] = app.redirect_url;
-  });
-  return clientRedirectUrls;
+// Метаданные OIDC клиента для приложения из хранилища
+// callbackUrl - redirect_uri client flow auth-service (строится из publicUrl настроек)
+export function createClientMetadata(app, callbackUrl) {
+  return {
+    client_id: app.client_id,
+    client_secret: app.secret,
+    redirect_uris: [
+      callbackUrl, // Callback для client flow (теперь в provider)
+    ],
+    // После выхода (end_session) provider возвращает пользователя на один из адресов приложения
+    post_logout_redirect_uris: getRedirectUrls(app),
+    response_types: ['code'],
+    grant_types: ['authorization_code', 'refresh_token'],
+    token_endpoint_auth_method: 'client_secret_basic',
+    // Back-channel logout: provider отправляет logout token с sid завершенной сессии
+    ...(app.backchannel_logout_uri ? {
+      backchannel_logout_uri: app.backchannel_logout_uri,
+      backchannel_logout_session_required: true,
+    } : {}),
+  };
+}
+
+// Страница подтверждения выхода (end_session) в оформлении области и приложения (views/logout.html)
+// Если приложение передало id_token_hint, форма отправляется автоматически,
+// иначе пользователь подтверждает выход (защита от принудительного выхода с чужих сайтов)
+function createLogoutSource(branding, pages, store) {
+  return async function logoutSource(ctx, form) {
+    const { params, client } = ctx.oidc;
+    const application = client ? await store.findApplication(client.clientId) : null;
+    const locale = pages.selectLocale({ uiLocales: params.ui_locales, acceptLanguage: ctx.get('accept-language') });
+    ctx.set('Content-Language', locale);
+    ctx.type = 'html';
+    ctx.body = pages.render('logout', {
+      locale,
+      branding: resolveBranding(branding, application),
+      confirmed: !!params.id_token_hint,
+      form,
+    });
+  };
 }
 
 // Создание конфигурации OIDC Provider
-export function createProviderConfiguration(port, users, applications, userAppRoles) {
+// Клиенты не задаются статически: provider читает их из хранилища через адаптер,
+// поэтому изменения приложений действуют без перезапуска
+// realm - { name, basePath, callbackUrl, branding, pages } области (см. realm.js)
+// kv - хранилище сессий, grant, кодов и токенов provider (store/kv.js)
+// keys - ключи подписи и cookie в формате provider (toProviderKeys из services/keys.js)
+export function createProviderConfiguration(realm, store, kv, keys) {
+  const { name, basePath, callbackUrl, branding, pages } = realm;
   return {
-    clients: applications.map(app => ({
-      client_id: app.client_id,
-      client_secret: app.secret,
-      redirect_uris: [
-        `http://localhost:${port}/client/callback`, // Callback для client flow (теперь в provider)
-      ],
-      response_types: ['code'],
-      grant_types: ['authorization_code', 'refresh_token'],
-      token_endpoint_auth_method: 'client_secret_basic',
-    })),
+    adapter: createOidcAdapter(store, kv, app => createClientMetadata(app, callbackUrl)),
+    // Первый ключ подписывает токены, остальные (следующий и выведенные) только публикуются в /jwks
+    jwks: keys.jwks,
     cookies: {
-      keys: ['some-secret-key-change-in-production'],
+      // Первый ключ подписывает cookie, остальные принимаются при проверке
+      keys: keys.cookieKeys,
+      // Cookie сессии выставляются на весь домен: у каждой области (кроме основной) свои имена
+      ...(basePath ? {
+        names: {
+          session: `_session_${name}`,
+          interaction: `_interaction_${name}`,
+          resume: `_interaction_resume_${name}`,
+        },
+      } : {}),
+    },
+    // Языки страниц логина (параметр ui_locales запроса авторизации)
+    discovery: {
+      ui_locales_supported: pages.locales,
     },
     features: {
       devInteractions: { enabled: true },
@@ -82,48 +184,109 @@ export function createProviderConfiguration(port, users, applications, userAppRo
       clientCredentials: { enabled: true },
       introspection: { enabled: true },
       revocation: { enabled: true },
+      rpInitiatedLogout: { enabled: true, logoutSource: createLogoutSource(branding, pages, store) },
+      backchannelLogout: { enabled: true },
+      // Access токены для API выдаются в формате JWT с audience = resource indicator
+      resourceIndicators: {
+        enabled: true,
+        // Приложение указывает resource только в запросе авторизации
+        useGrantedResource: async () => true,
+        async getResourceServerInfo(ctx, resourceIndicator, client) {
+          const application = await store.findApplication(client.clientId);
+          const resourceServer = await store.findResourceServer(resourceIndicator);
+          // Приложение может запрашивать токены только для своего resource server
+          if (!application || application.resource !== resourceIndicator || !resourceServer) {
+            throw new errors.InvalidTarget();
+          }
+          return {
+            scope: resourceServer.scopes.join(' '),
+            audience: resourceServer.identifier,
+            accessTokenTTL: resourceServer.access_token_ttl,
+            accessTokenFormat: 'jwt',
+          };
+        },
+      },
     },
+    // Refresh токен выдается всем приложениям с grant refresh_token (без offline_access):
+    // он хранится только на стороне auth-service, см. POST /api/refresh
+    async issueRefreshToken(ctx, client) {
+      return client.grantTypeAllowed('refresh_token');
+    },
+    // Роли (с учетом групп), группы, разрешения и профиль пользователя в JWT access token
+    // (API не обращается к userinfo); role - первая роль (для API, которые проверяют одну роль)
+    async extraTokenClaims(ctx, token) {
+      if (token.kind !== 'AccessToken' || !token.resourceServer) {
+        return undefined;
+      }
+      const user = await store.findUserById(token.accountId);
+      const { roles, groups } = await resolveUserRoles(store, token.accountId, token.clientId);
+      const resourceServer = await store.findResourceServer(token.resourceServer.audience);
+      return {
+        role: roles[0] || null,
+        roles,
+        groups,
+        permissions: resourceServer ? resolveResourcePermissions(resourceServer, roles) : [],
+        name: user?.name,
+        email: user?.email,
+        sid: token.sid, // Сессия provider: API отклоняет токен после back-channel logout
+      };
+    },
+    // Уровни аутентификации: только пароль или пароль + второй фактор
+    acrValues: [ACR_PASSWORD, ACR_MFA],
     interactions: {
       url(ctx, interaction) {
-        return `/interaction/${interaction.uid}`;
+        return `${basePath}/interaction/${interaction.uid}`;
       },
     },
+    // Claims по scope: сторонние приложения получают только то, на что пользователь дал согласие
+    // Claims выданных scope (profile, email) попадают и в ID токен: приложения получают только его
+    conformIdTokenClaims: false,
     claims: {
       openid: {
         sub: null,
+        role: null, // Первая роль пользователя в приложении
+        roles: null, // Все роли: назначенные пользователю и его группам
+        groups: null, // Группы пользователя
+        // acr/amr берутся из результата логина (пароль или пароль + TOTP)
+        acr: null,
+        amr: null,
+      },
+      profile: {
         name: null,
+      },
+      email: {
         email: null,
         email_verified: null,
-        role: null, // Добавляем роль в claims
       },
     },
-    findAccount(ctx, id) {
-      const user = users.find(u => u.id === id);
-      if (!user) {
+    async findAccount(ctx, id) {
+      const user = await store.findUserById(id);
+      if (!user || user.disabled) {
         return null;
       }
       
-      return Promise.resolve({
+      return {
         accountId: user.id,
         async claims(use, scope, claims, rejected) {
           // Получаем client_id из контекста или из grant
           let clientId = ctx.oidc?.client?.clientId;
-          let role = null;
+          let access = null;
           
           // Если client_id не в контексте, пытаемся получить из grant
           if (!clientId && ctx.oidc?.grant) {
             const grant = await ctx.oidc.grant;
             clientId = grant?.clientId;
             
-            // Пытаемся получить роль из grant metadata
-            if (grant?.resourceServers?.[clientId]?.role) {
-              role = grant.resourceServers[clientId].role;
+            // Пытаемся получить роли и группы из grant metadata
+            const metadata = grant?.resourceServers?.[clientId];
+            if (metadata?.roles) {
+              access = { roles: normalizeRoles(metadata.roles), groups: metadata.groups || [] };
             }
           }
           
-          // Если роль не найдена в grant, получаем из маппинга
-          if (!role && clientId) {
-            role = userAppRoles[user.id]?.[clientId] || null;
+          // Если роли не найдены в grant, вычисляем по маппингу и группам
+          if (!access && clientId) {
+            access = await resolveUserRoles(store, user.id, clientId);
           }
           
           return {
@@ -131,10 +294,12 @@ export function createProviderConfiguration(port, users, applications, userAppRo
             name: user.name,
             email: user.email,
             email_verified: true,
-            role: role, // Добавляем роль в JWT
+            role: access?.roles[0] || null, // Первая роль - для приложений, которые проверяют одну роль
+            roles: access?.roles || [],
+            groups: access?.groups || [],
           };
         },
-      });
+      };
     },
   };
 }
@@ -1,456 +1,186 @@
 import express from 'express';
-import Provider from 'oidc-provider';
-import { Issuer, generators } from 'openid-client';
-import {
-  users,
-  applications,
-  userAppRoles,
-  createClientRedirectUrls,
-  createProviderConfiguration,
-} from './config.js';
-
-const PORT = process.env.PORT || 3000;
-const ISSUER = `http://localhost:${PORT}`;
-
-// Маппинг client_id -> redirect_url для быстрого доступа
-const clientRedirectUrls = createClientRedirectUrls(applications);
+import path from 'path';
+import { createLogger, createRequestContext } from 'stork-logger';
+import { createMetricsHandler } from 'stork-metrics';
+import { seedData } from './config.js';
+import { loadSettings } from './settings.js';
+import { createKeyValueStore, createNamespacedKeyValueStore, readDataFile } from './store/index.js';
+import { createPasswordHasher, createPasswordPolicy } from './services/password.js';
+import { loadOrCreateKeySet, toProviderKeys } from './services/keys.js';
+import { createAuditLog } from './services/audit.js';
+import { createAuthMetrics } from './services/metrics.js';
+import { createPageRenderer } from './services/pages.js';
+import { createRealm, MAIN_REALM } from './realm.js';
+
+// Настройки: переменные окружения и CONFIG_FILE (JSON или YAML), см. settings.js
+// При ошибках схемы сервис не запускается
+let settings;
+try {
+  settings = await loadSettings();
+} catch (error) {
+  if (error.code !== 'invalid_config') {
+    throw error;
+  }
+  console.error(error.message);
+  process.exit(1);
+}
 
-// Конфигурация OIDC Provider
-const configuration = createProviderConfiguration(PORT, users, applications, userAppRoles);
+// Логи: JSON-записи (или pretty) со скрытием токенов, паролей и секретов
+const logger = createLogger({ name: 'auth-service', level: settings.log.level, format: settings.log.format });
+
+const PORT = settings.port;
+const ISSUER = settings.issuer;
+// Внешний адрес auth-service (за reverse proxy отличается от адреса, который слушает процесс)
+const PUBLIC_URL = settings.publicUrl;
+const STORE_DRIVER = settings.store.driver;
+const STORE_FILE = settings.store.file;
+// Сессии, grant, коды и токены provider, состояние client flow (тот же драйвер, что и у STORE_DRIVER)
+const SESSION_STORE_FILE = settings.store.sessionsFile;
+// Ключи подписи и cookie (ротация: npm run keys:rotate)
+const KEYS_FILE = settings.keys.file;
+
+// Хеширование паролей и политика паролей
+const passwordHasher = createPasswordHasher();
+const passwordPolicy = createPasswordPolicy({
+  minLength: settings.password.minLength,
+  bannedPasswords: settings.password.bannedList,
+});
 
-const app = express();
+// Хранилище временных записей: данные provider и PKCE всех областей (у каждой области свой префикс ключей)
+const kv = await createKeyValueStore({
+  driver: STORE_DRIVER,
+  filePath: SESSION_STORE_FILE,
+  logger,
+});
 
-// Создаем OIDC Provider
-const provider = new Provider(ISSUER, configuration);
+// Ключи подписи токенов и cookie (файл создается при первом запуске), общие для всех областей
+const keySet = await loadOrCreateKeySet(KEYS_FILE, { publish: true, logger });
+const providerKeys = toProviderKeys(keySet);
 
-// Middleware для парсинга body
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Обработка взаимодействий (только логин, без consent)
-app.use('/interaction/:uid', async (req, res, next) => {
-  try {
-    let details;
-    try {
-      details = await provider.interactionDetails(req, res);
-    } catch (err) {
-      // Если interaction не найден или истек, возвращаем ошибку
-      if (err.name === 'SessionNotFound' || err.message?.includes('invalid_request') || err.code === 'invalid_request') {
-        console.log('Interaction session not found or expired:', {
-          uid: req.params.uid,
-          error: err.name || err.code,
-          message: err.message,
-        });
-        return res.status(400).send(`
-          <html>
-            <head>
-              <title>Session Expired</title>
-              <style>
-                body { font-family: Arial, sans-serif; max-width: 400px; margin: 100px auto; padding: 20px; }
-                a { color: #007bff; text-decoration: none; }
-                a:hover { text-decoration: underline; }
-              </style>
-            </head>
-            <body>
-              <h1>Session Expired</h1>
-              <p>The authentication session has expired or is invalid. Please try again.</p>
-              <p><a href="/">Go to home</a></p>
-            </body>
-          </html>
-        `);
-      }
-      // Для других ошибок логируем и пробрасываем дальше
-      console.error('Error in interaction handler:', err);
-      throw err;
-    }
-    
-    const { uid, prompt, params, session } = details;
-    
-    if (prompt.name === 'login') {
-      // Форма логина
-      if (req.method === 'GET') {
-        return res.send(`
-          <html>
-            <head>
-              <title>Login</title>
-              <style>
-                body { font-family: Arial, sans-serif; max-width: 400px; margin: 100px auto; padding: 20px; }
-                form { background: #f5f5f5; padding: 20px; border-radius: 5px; }
-                input { width: 100%; padding: 10px; margin: 10px 0; box-sizing: border-box; }
-                button { width: 100%; padding: 10px; background: #007bff; color: white; border: none; border-radius: 3px; cursor: pointer; }
-                button:hover { background: #0056b3; }
-                .info { background: #e7f3ff; padding: 10px; border-radius: 5px; margin-bottom: 15px; }
-              </style>
-            </head>
-            <body>
-              <h1>Login</h1>
-              <div class="info">
-                <p><strong>Application:</strong> ${params.client_id}</p>
-              </div>
-              <form method="post">
-                <input type="text" name="login" placeholder="Username" required><br>
-                <input type="password" name="password" placeholder="Password" required><br>
-                <button type="submit">Login</button>
-              </form>
-              <p style="font-size: 12px; color: #666; margin-top: 20px;">
-                Test users: user1/pass1, user2/pass2, admin/admin
-              </p>
-            </body>
-          </html>
-        `);
-      }
-      
-      if (req.method === 'POST') {
-        const { login, password } = req.body;
-        
-        // Проверка учетных данных
-        const user = users.find(u => u.id === login && u.password === password);
-        
-        if (!user) {
-          return res.send(`
-            <html>
-              <head><title>Login Failed</title></head>
-              <body>
-                <h1>Invalid credentials</h1>
-                <p><a href="javascript:history.back()">Go back</a></p>
-              </body>
-            </html>
-          `);
-        }
-        
-        // Проверяем, есть ли у пользователя доступ к приложению
-        const clientId = params.client_id;
-        const role = userAppRoles[user.id]?.[clientId];
-        
-        if (!role) {
-          return res.send(`
-            <html>
-              <head><title>Access Denied</title></head>
-              <body>
-                <h1>Access Denied</h1>
-                <p>User "${user.id}" does not have access to application "${clientId}"</p>
-                <p><a href="javascript:history.back()">Go back</a></p>
-              </body>
-            </html>
-          `);
-        }
-        
-        // Создаем grant с нужными scope и claims
-        const grantId = session?.grantId;
-        let grant = grantId ? await provider.Grant.find(grantId) : null;
-        
-        if (!grant) {
-          grant = new provider.Grant({
-            accountId: user.id,
-            clientId: clientId,
-          });
-        }
-        
-        grant.addOIDCScope(params.scope || 'openid');
-        grant.addOIDCClaims(['sub', 'name', 'email', 'email_verified', 'role']);
-        
-        // Сохраняем роль в grant metadata для использования в claims
-        grant.resourceServers = grant.resourceServers || {};
-        grant.resourceServers[clientId] = {
-          role: role,
-        };
-        
-        const savedGrantId = await grant.save();
-        
-        const result = {
-          login: {
-            accountId: user.id,
-          },
-          // Автоматически выдаем consent без экрана согласия
-          consent: {
-            grantId: savedGrantId,
-          },
-        };
-        
-        return provider.interactionFinished(req, res, result, {
-          mergeWithLastSubmission: true,
-        });
-      }
-    }
-    
-    // Если это consent prompt, автоматически разрешаем (не показываем экран)
-    if (prompt.name === 'consent') {
-      const grantId = session?.grantId;
-      let grant = grantId ? await provider.Grant.find(grantId) : null;
-      
-      if (!grant) {
-        grant = new provider.Grant({
-          accountId: session.accountId,
-          clientId: params.client_id,
-        });
-      }
-      
-      // Получаем роль пользователя для этого приложения
-      const role = userAppRoles[session.accountId]?.[params.client_id] || null;
-      
-      grant.addOIDCScope(params.scope || 'openid');
-      grant.addOIDCClaims(['sub', 'name', 'email', 'email_verified', 'role']);
-      
-      // Сохраняем роль в grant metadata
-      grant.resourceServers = grant.resourceServers || {};
-      grant.resourceServers[params.client_id] = {
-        role: role,
-      };
-      
-      const savedGrantId = await grant.save();
-      
-      const result = {
-        consent: {
-          grantId: savedGrantId,
-        },
-      };
-      
-      return provider.interactionFinished(req, res, result, {
-        mergeWithLastSubmission: true,
-      });
-    }
-    
-    next();
-  } catch (err) {
-    next(err);
-  }
+// Журнал аудита: логины, отказы в доступе, выдача и отзыв токенов, выход, изменения администраторов
+const auditLog = createAuditLog({
+  filePath: settings.audit.file,
+  maxBytes: settings.audit.maxBytes,
+  maxFiles: settings.audit.maxFiles,
+  logger,
 });
 
-// ========== OIDC Client функциональность ==========
-
-// Временное хранилище для PKCE flow (только между началом авторизации и callback)
-// Ключ - state, значение - { codeVerifier, nonce, redirectUrl, clientId }
-const pkceStorage = new Map();
+// Метрики Prometheus: входы, истекшие interaction, выдача токенов, ошибки callback (все области)
+const metrics = createAuthMetrics();
 
-// Простое хранилище токенов по session ID (только для передачи токена после callback)
-// Ключ - короткий session ID, значение - tokenSet
-const tokenStorage = new Map();
+// Страницы логина, второго фактора, ошибок и выхода: шаблоны views/ и тексты на языках views/locales
+let pages;
+try {
+  pages = await createPageRenderer({ viewsDir: settings.ui.viewsDir, defaultLocale: settings.ui.defaultLocale, logger });
+} catch (error) {
+  logger.error('Page templates not loaded', { message: error.message });
+  process.exit(1);
+}
 
-// Получение или создание OIDC клиента для конкретного client_id
-async function getOidcClient(clientId) {
-  const app = applications.find(a => a.client_id === clientId);
-  if (!app) {
-    throw new Error(`Client ${clientId} not found`);
+const shared = { settings, providerKeys, passwordHasher, passwordPolicy, auditLog, metrics, pages, logger };
+
+// Основная область: в корне сервиса, начальные данные из config.js
+const realms = [await createRealm({
+  ...shared,
+  name: MAIN_REALM,
+  basePath: '',
+  storeFile: STORE_FILE,
+  seedData,
+  clients: settings.clients,
+  branding: settings.branding,
+  kv,
+})];
+
+// Дополнительные области (realms в настройках): /realms/<name>, свое хранилище и начальные данные
+for (const [name, realmSettings] of Object.entries(settings.realms)) {
+  const seed = realmSettings.seedFile ? await readDataFile(realmSettings.seedFile) : null;
+  if (realmSettings.seedFile && !seed) {
+    logger.error('Realm seed file not found', { realm: name, seedFile: realmSettings.seedFile });
+    process.exit(1);
   }
-  
-  const issuer = await Issuer.discover(ISSUER);
-  const client = new issuer.Client({
-    client_id: app.client_id,
-    client_secret: app.secret,
-    redirect_uris: [`http://localhost:${PORT}/client/callback`],
-    response_types: ['code'],
-  });
-  
-  return { issuer, client };
+  realms.push(await createRealm({
+    ...shared,
+    name,
+    basePath: `/realms/${name}`,
+    storeFile: realmSettings.storeFile || path.join(path.dirname(STORE_FILE), 'realms', `${name}.json`),
+    seedData: seed || {},
+    clients: realmSettings.clients,
+    branding: { ...settings.branding, ...realmSettings.branding },
+    kv: createNamespacedKeyValueStore(kv, `realm:${name}:`),
+  }));
 }
 
-// Начало процесса авторизации (OIDC Client)
-app.get('/client/auth', async (req, res) => {
-  try {
-    const clientId = req.query.client_id || 'demo-client';
-    const { client } = await getOidcClient(clientId);
-    
-    // Генерация code_verifier и code_challenge для PKCE
-    const codeVerifier = generators.codeVerifier();
-    const codeChallenge = generators.codeChallenge(codeVerifier);
-    
-    // Генерация state и nonce
-    const state = generators.random();
-    const nonce = generators.random();
-    
-    // Получаем redirect_url для этого клиента
-    const redirectUrl = clientRedirectUrls[clientId] || 'http://localhost:3001/';
-    
-    // Временно сохраняем для PKCE (будет удалено после callback)
-    pkceStorage.set(state, { codeVerifier, nonce, redirectUrl, clientId });
-    
-    // Параметры авторизации
-    const authUrl = client.authorizationUrl({
-      redirect_uri: `http://localhost:${PORT}/client/callback`,
-      scope: 'openid profile email',
-      code_challenge: codeChallenge,
-      code_challenge_method: 'S256',
-      state,
-      nonce,
-    });
-    
-    res.redirect(authUrl);
-  } catch (error) {
-    console.error('Client auth error:', error);
-    res.status(500).send(`Error: ${error.message}`);
-  }
-});
+const app = express();
 
-// Callback от provider (OIDC Client) - используем отдельный путь
-app.get('/client/callback', async (req, res) => {
-  try {
-    const params = req.query;
-    
-    // Проверка наличия обязательных параметров
-    if (!params.state) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Error</title></head>
-          <body>
-            <h1>Invalid callback: missing state parameter</h1>
-            <p><a href="/client/auth">Try again</a></p>
-          </body>
-        </html>
-      `);
-    }
-    
-    // Получаем PKCE данные
-    const pkceData = pkceStorage.get(params.state);
-    if (!pkceData) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Error</title></head>
-          <body>
-            <h1>Invalid callback: PKCE data not found or expired</h1>
-            <p><a href="/client/auth">Try again</a></p>
-          </body>
-        </html>
-      `);
-    }
-    
-    // Если есть ошибка от provider
-    if (params.error) {
-      pkceStorage.delete(params.state);
-      return res.status(400).send(`
-        <html>
-          <head><title>Error</title></head>
-          <body>
-            <h1>Authentication Error</h1>
-            <p><strong>Error:</strong> ${params.error}</p>
-            <p><strong>Description:</strong> ${params.error_description || 'No description'}</p>
-            <p><a href="/client/auth">Try again</a></p>
-          </body>
-        </html>
-      `);
-    }
-    
-    if (!params.code) {
-      pkceStorage.delete(params.state);
-      return res.status(400).send(`
-        <html>
-          <head><title>Error</title></head>
-          <body>
-            <h1>Invalid callback: missing code parameter</h1>
-            <p><a href="/client/auth">Try again</a></p>
-          </body>
-        </html>
-      `);
-    }
-    
-    const { client } = await getOidcClient(pkceData.clientId);
-    const { codeVerifier, nonce, redirectUrl } = pkceData;
-    
-    // Обмен кода на токены
-    const tokenSet = await client.callback(
-      `http://localhost:${PORT}/client/callback`,
-      params,
-      {
-        code_verifier: codeVerifier,
-        state: params.state,
-        nonce,
-      }
-    );
-    
-    // Очищаем временные PKCE данные
-    pkceStorage.delete(params.state);
-    
-    // Валидация токенов
-    const claims = tokenSet.claims();
-    
-    if (!claims || !claims.sub) {
-      throw new Error('No sub claim in token');
-    }
-    
-    console.log('Token set received:', {
-      sub: claims.sub,
-      access_token: tokenSet.access_token ? 'present' : 'absent',
-      id_token: tokenSet.id_token ? 'present' : 'absent',
-      refresh_token: tokenSet.refresh_token ? 'present' : 'absent',
-    });
-    
-    // Получаем токен (ID токен или access token)
-    const token = tokenSet.id_token || tokenSet.access_token;
-    
-    // Редиректим на URL из конфигурации приложения с токеном в query
-    const finalRedirectUrl = new URL(redirectUrl);
-    finalRedirectUrl.searchParams.set('token', token);
-    res.redirect(finalRedirectUrl.toString());
-  } catch (error) {
-    console.error('Callback error:', error);
-    
-    // Очистка при ошибке
-    if (req.query.state) {
-      pkceStorage.delete(req.query.state);
-    }
-    
-    res.status(500).send(`
-      <html>
-        <head><title>Error</title></head>
-        <body>
-          <h1>Error during authentication</h1>
-          <p>${error.message}</p>
-          <p><a href="/client/auth">Try again</a></p>
-        </body>
-      </html>
-    `);
-  }
-});
+// За reverse proxy: req.ip и протокол берутся из X-Forwarded-* только от доверенных прокси
+app.set('trust proxy', settings.trustProxy);
 
-// Подключаем OIDC Provider routes (после client routes)
-app.use(provider.callback());
+// Идентификатор запроса: из X-Request-Id (admin-backend передает свой) или новый, req.log с requestId
+app.use(createRequestContext(logger));
 
-// API endpoint для получения токена по session ID
-app.get('/api/token', (req, res) => {
-  const sessionId = req.query.session;
-  
-  if (!sessionId) {
-    return res.status(400).json({ error: 'session parameter required' });
-  }
-  
-  const tokenSet = tokenStorage.get(sessionId);
-  
-  if (!tokenSet) {
-    return res.status(404).json({ error: 'session not found or expired' });
-  }
-  
-  // Возвращаем ID токен или access token
-  const token = tokenSet.id_token || tokenSet.access_token;
-  
-  if (!token) {
-    return res.status(404).json({ error: 'token not found' });
-  }
-  
-  res.json({ token });
-});
+// Middleware для парсинга body
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', issuer: ISSUER });
+  res.json({
+    status: 'ok',
+    issuer: ISSUER,
+    realms: realms.map(realm => ({ name: realm.name, issuer: realm.issuer })),
+  });
 });
 
+// Метрики для Prometheus (общие для всех областей, метка realm)
+if (settings.metrics.enabled) {
+  app.get('/metrics', createMetricsHandler(metrics.registry, { token: settings.metrics.token }));
+}
+
+// Области подключаются от более длинного пути к основной (в корне)
+for (const realm of [...realms].reverse()) {
+  app.use(realm.basePath || '/', realm.router);
+}
+
 // Запуск сервера
-app.listen(PORT, () => {
-  console.log(`OIDC Provider + Client running at ${ISSUER}`);
-  console.log(`Discovery: ${ISSUER}/.well-known/openid-configuration`);
-  console.log(`\nEndpoints:`);
-  console.log(`  GET  /client/auth        - Start OIDC client flow`);
-  console.log(`  GET  /client/callback    - OIDC client callback`);
-  console.log(`  GET  /api/token          - Get JWT token by session ID`);
-  console.log(`  GET  /health             - Health check`);
-  console.log(`\nTest users:`);
-  users.forEach(user => {
-    console.log(`  ${user.id} / ${user.password}`);
+const server = app.listen(PORT, async () => {
+  const [mainRealm] = realms;
+  logger.info('OIDC Provider + Client started', {
+    port: PORT,
+    issuer: ISSUER,
+    publicUrl: PUBLIC_URL,
+    discovery: `${ISSUER}/.well-known/openid-configuration`,
+    realms: Object.fromEntries(realms.map(realm => [realm.name, realm.issuer])),
+  });
+  logger.info('Endpoints (relative to realm path)', {
+    client: ['GET /client/auth', 'GET /client/callback', 'GET /client/logout', 'POST /api/token', 'POST /api/refresh'],
+    management: ['* /manage/*', 'GET /manage/audit'],
+    account: ['GET /account/consents', 'POST /account/consents/:clientId/revoke'],
+    service: ['GET /health', ...(settings.metrics.enabled ? ['GET /metrics'] : [])],
+  });
+  logger.info('Configuration', {
+    signingKey: keySet.signing.find(entry => entry.status === 'active').kid,
+    publishedKeys: keySet.signing.length,
+    keysFile: KEYS_FILE,
+    store: STORE_DRIVER,
+    ...(STORE_DRIVER === 'file' ? { storeFile: STORE_FILE, sessionsFile: SESSION_STORE_FILE } : {}),
+    auditFile: settings.audit.file,
   });
-  console.log(`\nUser roles per application:`);
-  Object.entries(userAppRoles).forEach(([userId, apps]) => {
-    console.log(`  ${userId}:`);
-    Object.entries(apps).forEach(([appId, role]) => {
-      console.log(`    ${appId} -> ${role}`);
-    });
+  logger.info('Test users', {
+    users: (await mainRealm.store.listUsers()).map(user => user.id),
+    roles: await mainRealm.store.listUserAppRoles(),
   });
 });
+
+// Graceful shutdown: перестаем принимать запросы, сохраняем сессии provider и дописываем журнал аудита
+function shutdown(signal) {
+  logger.info('Shutting down', { signal });
+  server.close(async () => {
+    await auditLog.flush();
+    await kv.close();
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
@@ -0,0 +1,1199 @@
+// Область (realm) auth-service
+//
+// Область - изолированный набор пользователей, приложений, ролей и resource servers со своим
+// OIDC Provider: issuer <issuer>/realms/<name> (основная область - в корне сервиса), свои сессии
+// и cookie provider, счетчики блокировок, оформление страниц логина. Ключи подписи общие для всех
+// областей, но issuer у токенов разный, поэтому токен одной области не принимается в другой.
+//
+// createRealm возвращает express router со всеми маршрутами области: interaction, client flow
+// (/client/*, /api/token, /api/refresh), согласия пользователя (/account/consents),
+// Management API (/manage) и endpoints provider.
+
+import express from 'express';
+import Provider from 'oidc-provider';
+import QRCode from 'qrcode';
+import { Issuer, generators } from 'openid-client';
+import { toLogger } from 'stork-logger';
+import { createProviderConfiguration } from './config.js';
+import { applyClientSettings } from './settings.js';
+import { createStore } from './store/index.js';
+import { createUserService, hashSeedUsers } from './services/users.js';
+import { createKeyValueAttemptStore, createLoginThrottle } from './services/login-throttle.js';
+import { createTotpService } from './services/totp.js';
+import { createMfaService, acrForAmr, AMR_PASSWORD, AMR_TOTP } from './services/mfa.js';
+import { createManagementRouter } from './routes/management.js';
+import { createHandoffStore } from './services/handoff.js';
+import { createRefreshSessionStore } from './services/refresh-sessions.js';
+import { createRevocationNotifier } from './services/revocation.js';
+import { getApplicationOrigins, matchRedirectUrl } from './services/redirects.js';
+import { getResourceServerPolicy, expandResourceRoles, resolveResourcePermissions, resolveUserRoles } from './services/roles.js';
+import { createRealmAuditLog } from './services/audit.js';
+import { createRealmMetrics, callbackErrorReason, callbackExceptionReason } from './services/metrics.js';
+import { resolveBranding } from './services/pages.js';
+import { createConsentService, isFirstParty, OIDC_SCOPES } from './services/consents.js';
+
+// Имя основной области (в корне сервиса, без /realms/<name>)
+export const MAIN_REALM = 'main';
+
+/**
+ * Создание области
+ * name           - имя области (MAIN_REALM - основная)
+ * basePath       - путь области: '' для основной, /realms/<name> для остальных
+ * settings       - общие настройки сервиса (settings.js)
+ * storeFile      - файл хранилища пользователей, приложений и ролей области
+ * seedData       - начальные данные хранилища (пароли пользователей в открытом виде)
+ * clients        - адреса приложений из настроек развертывания (clients.<client_id>)
+ * branding       - { displayName, primaryColor, logoUri } для страниц логина (приложение может задать свои)
+ * kv             - хранилище временных записей области (createNamespacedKeyValueStore)
+ * providerKeys   - ключи подписи и cookie в формате provider (toProviderKeys)
+ * passwordHasher, passwordPolicy, auditLog, metrics, pages - общие для всех областей
+ * logger         - логгер сервиса (stork-logger), записи области содержат поле realm
+ */
+export async function createRealm(options) {
+  const {
+    name,
+    basePath,
+    settings,
+    storeFile,
+    seedData,
+    clients = {},
+    branding,
+    kv,
+    providerKeys,
+    passwordHasher,
+    passwordPolicy,
+    auditLog,
+    metrics: authMetrics,
+    pages,
+    logger: serviceLogger,
+  } = options;
+
+  const logger = toLogger(serviceLogger, { name: 'auth-service' }).child({ realm: name });
+
+  const isMainRealm = name === MAIN_REALM;
+  const issuer = `${settings.issuer}${basePath}`;
+  // redirect_uri client flow области, зарегистрирован у всех приложений области
+  const callbackUrl = `${settings.publicUrl}${basePath}/client/callback`;
+
+  // Хранилище пользователей, приложений и ролей области
+  // Пароли начальных пользователей сохраняются в хранилище только в виде хешей; хешируются они,
+  // только когда пользователи берутся из seedData (файла хранилища еще нет), а не при каждом старте
+  const store = await createStore({
+    driver: settings.store.driver,
+    filePath: storeFile,
+    seedData,
+    prepareSeedData: async data => (data.users ? { ...data, users: await hashSeedUsers(data.users, passwordHasher) } : data),
+    logger,
+  });
+
+  // Адреса приложений из настроек развертывания
+  await applyClientSettings(store, clients, logger);
+
+  // Описания ролей resource servers проверяются при старте (неизвестные роли в inherits, циклы)
+  for (const resourceServer of await store.listResourceServers()) {
+    try {
+      getResourceServerPolicy(resourceServer);
+    } catch (error) {
+      throw new Error(`Realm ${name}: resource server ${resourceServer.identifier}: ${error.message}`);
+    }
+  }
+
+  // Сервис пользователей (создание с проверкой политики, проверка учетных данных)
+  const userService = createUserService(store, { hasher: passwordHasher, policy: passwordPolicy, logger });
+
+  // Защита от перебора паролей (счетчики неудачных попыток по аккаунту и IP)
+  const loginThrottle = createLoginThrottle({
+    store: createKeyValueAttemptStore(kv),
+    maxAccountAttempts: settings.login.maxAttempts,
+    maxIpAttempts: settings.login.ipMaxAttempts,
+    baseLockoutMs: settings.login.lockoutMs,
+    logger,
+  });
+
+  // Второй фактор (TOTP), в приложении-аутентификаторе области показывается ее название
+  const totpService = createTotpService({ issuer: isMainRealm ? settings.totpIssuer : branding.displayName || name });
+  const mfaService = createMfaService(store, totpService, { logger });
+
+  // Рассылка отозванных токенов в API приложений (revocation_push_uri)
+  const revocationNotifier = createRevocationNotifier(store, { logger });
+
+  // Журнал аудита области (общий файл, записи с именем области)
+  const audit = createRealmAuditLog(auditLog, name);
+
+  // Согласия пользователей на доступ сторонних приложений
+  const consents = createConsentService(store);
+
+  // Метрики области (общий реестр, ряды с меткой realm)
+  const metrics = createRealmMetrics(authMetrics, name);
+
+  // Язык страницы: ui_locales запроса авторизации (res.locals.uiLocales), затем Accept-Language
+  function pageLocale(req, res) {
+    return pages.selectLocale({ uiLocales: res.locals.uiLocales, acceptLanguage: req.headers['accept-language'] });
+  }
+
+  // Страница из шаблона views/<page>.html в оформлении области и приложения (res.locals.application)
+  function sendPage(req, res, page, data = {}, status = 200) {
+    const locale = pageLocale(req, res);
+    const html = pages.render(page, { ...data, locale, branding: resolveBranding(branding, res.locals.application) });
+    return res.status(status).set('Content-Language', locale).type('html').send(html);
+  }
+
+  // Страница ошибки: заголовок и текст errors.<reason> на языке страницы
+  function sendErrorPage(req, res, status, reason, data = {}) {
+    const locale = pageLocale(req, res);
+    const heading = pages.translate(locale, `errors.${reason}.title`, data);
+    const message = pages.translate(locale, `errors.${reason}.message`, data);
+    return sendPage(req, res, 'error', { ...data, title: heading, heading, message }, status);
+  }
+
+  // Страница "Слишком много попыток"
+  function sendTooManyAttempts(req, res, retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return sendPage(req, res, 'too-many-attempts', { minutes: Math.ceil(retryAfterSeconds / 60) }, 429);
+  }
+
+  // OIDC Provider области (issuer с путем области, свои cookie, клиенты из хранилища области)
+  const configuration = createProviderConfiguration({ name, basePath, callbackUrl, branding, pages }, store, kv, providerKeys);
+  const provider = new Provider(issuer, configuration);
+  // Provider учитывает X-Forwarded-Proto (secure cookie, https в ссылках) только за доверенным прокси
+  provider.proxy = settings.trustProxy !== false && settings.trustProxy !== 0;
+
+  // Аудит выдачи токенов и выхода (события provider)
+  provider.on('grant.success', (ctx) => {
+    metrics.recordTokenIssued({
+      clientId: ctx.oidc.client?.clientId,
+      grantType: ctx.oidc.params?.grant_type,
+      outcome: 'success',
+    });
+    audit.record({
+      event: 'token.issued',
+      outcome: 'success',
+      subject: ctx.oidc.account?.accountId,
+      client_id: ctx.oidc.client?.clientId,
+      ip: ctx.ip,
+      details: { grant_type: ctx.oidc.params?.grant_type },
+    });
+  });
+  provider.on('grant.error', (ctx, error) => {
+    metrics.recordTokenIssued({
+      clientId: ctx.oidc?.client?.clientId,
+      grantType: ctx.oidc?.params?.grant_type,
+      outcome: 'failure',
+    });
+    audit.record({
+      event: 'token.issued',
+      outcome: 'failure',
+      client_id: ctx.oidc?.client?.clientId,
+      ip: ctx.ip,
+      reason: error.error || error.name,
+      details: { grant_type: ctx.oidc?.params?.grant_type },
+    });
+  });
+  // Внутренние ошибки provider (ответ server_error): ошибка выводится в лог, клиенту - только код
+  provider.on('server_error', (ctx, error) => {
+    logger.error('Provider server error', { path: ctx.path, error });
+  });
+
+  provider.on('end_session.success', (ctx) => {
+    audit.record({
+      event: 'logout',
+      outcome: 'success',
+      actor: ctx.oidc.session?.accountId,
+      subject: ctx.oidc.session?.accountId,
+      client_id: ctx.oidc.client?.clientId,
+      ip: ctx.ip,
+    });
+  });
+
+  const router = express.Router();
+
+  // Логгер запроса: поле realm и идентификатор запроса (req.id из createRequestContext)
+  router.use((req, res, next) => {
+    req.log = req.id ? logger.child({ requestId: req.id }) : logger;
+    next();
+  });
+
+  // Страница "Доступ запрещен" (у пользователя нет роли в приложении)
+  function sendAccessDenied(req, res, userId, clientId) {
+    const applicationName = res.locals.application?.name || clientId;
+    return sendPage(req, res, 'access-denied', { userId, applicationName }, 403);
+  }
+
+  // Отказ во входе: у пользователя нет ролей в приложении
+  function denyAccess(req, res, userId, clientId) {
+    metrics.recordLogin({ clientId, outcome: 'denied', reason: 'no_role' });
+    audit.record({
+      event: 'access.denied',
+      outcome: 'denied',
+      actor: userId,
+      subject: userId,
+      client_id: clientId,
+      ip: req.ip,
+      reason: 'no_role',
+    });
+    return sendAccessDenied(req, res, userId, clientId);
+  }
+
+  // Неудачная попытка входа (неверный пароль или код, блокировка после перебора)
+  function recordLoginFailure(req, login, clientId, reason) {
+    metrics.recordLogin({ clientId, outcome: 'failure', reason });
+    audit.record({
+      event: 'login.failure',
+      outcome: 'failure',
+      actor: login,
+      subject: login,
+      client_id: clientId,
+      ip: req.ip,
+      reason,
+    });
+  }
+
+  // Запрошенные приложением scope resource server: входящие в разрешения ролей и остальные
+  async function resourceScopeRequest(params, roles) {
+    const resourceServer = params.resource ? await store.findResourceServer(params.resource) : null;
+    if (!resourceServer) {
+      return null;
+    }
+
+    const requested = String(params.scope || '').split(' ').filter(scope => resourceServer.scopes.includes(scope));
+    const allowed = new Set(resolveResourcePermissions(resourceServer, roles));
+    return {
+      resourceServer,
+      granted: requested.filter(scope => allowed.has(scope)),
+      rejected: requested.filter(scope => !allowed.has(scope)),
+    };
+  }
+
+  // Выдача scope resource server в grant: запрошенные приложением и входящие в разрешения ролей
+  // Остальные запрошенные scope отклоняются, чтобы provider не запрашивал их повторно
+  async function grantResourceScopes(grant, params, roles) {
+    const request = await resourceScopeRequest(params, roles);
+    if (!request) {
+      return;
+    }
+    const { granted, rejected } = request;
+
+    // Grant мог остаться от предыдущего логина с другими ролями: scope выдаются заново
+    delete grant.resources?.[params.resource];
+    delete grant.rejected?.resources?.[params.resource];
+
+    if (granted.length > 0) {
+      grant.addResourceScope(params.resource, granted.join(' '));
+    }
+    if (rejected.length > 0) {
+      grant.rejectResourceScope(params.resource, rejected.join(' '));
+    }
+  }
+
+  // Роли пользователя в приложении вместе с унаследованными (по описанию ролей API приложения)
+  async function getEffectiveRoles(application, roles) {
+    const resourceServer = application?.resource ? await store.findResourceServer(application.resource) : null;
+    return expandResourceRoles(resourceServer, roles);
+  }
+
+  // Claims, запрошенные параметром claims (для id_token и userinfo)
+  function requestedClaims(params) {
+    let claims = params.claims;
+    if (typeof claims === 'string') {
+      try {
+        claims = JSON.parse(claims);
+      } catch {
+        return [];
+      }
+    }
+    return [...new Set(['id_token', 'userinfo'].flatMap(use => Object.keys(claims?.[use] || {})))];
+  }
+
+  // Права, которые приложение запрашивает у пользователя: OpenID scope, claims и scope API в пределах ролей
+  async function requestedAccess(params, roles) {
+    const scopes = String(params.scope || 'openid').split(' ').filter(scope => OIDC_SCOPES.includes(scope));
+    const resource = await resourceScopeRequest(params, roles);
+    return {
+      scopes: scopes.length > 0 ? [...new Set(scopes)] : ['openid'],
+      claims: requestedClaims(params),
+      resourceScopes: resource && resource.granted.length > 0 ? { [params.resource]: resource.granted } : {},
+    };
+  }
+
+  // Grant приложения: OpenID scope и claims, роли и группы (metadata для claims), scope API по ролям
+  // Возвращает id сохраненного grant
+  async function saveGrant(details, accountId, access, { roles, groups }) {
+    const { params } = details;
+    const clientId = params.client_id;
+    let grant = details.grantId ? await provider.Grant.find(details.grantId) : null;
+
+    if (!grant) {
+      grant = new provider.Grant({
+        accountId,
+        clientId,
+      });
+    }
+
+    grant.addOIDCScope(access.scopes.join(' '));
+    if (access.claims.length > 0) {
+      grant.addOIDCClaims(access.claims);
+    }
+
+    // Сохраняем роли и группы в grant metadata для использования в claims
+    grant.resourceServers = grant.resourceServers || {};
+    grant.resourceServers[clientId] = {
+      roles,
+      groups,
+    };
+
+    // Scope для API (resource indicator) выдаются по ролям пользователя в приложении
+    if (params.resource) {
+      await grantResourceScopes(grant, params, roles);
+    }
+
+    return grant.save();
+  }
+
+  // Завершение логина: создание grant с ролями и возврат в provider
+  // amr - методы аутентификации, попадают в ID токен вместе с acr
+  async function finishLogin(req, res, details, accountId, amr) {
+    const { params } = details;
+    const clientId = params.client_id;
+    // Роли назначаются пользователю напрямую или группе, в которой он состоит
+    const { roles, groups } = await resolveUserRoles(store, accountId, clientId);
+
+    if (roles.length === 0) {
+      return denyAccess(req, res, accountId, clientId);
+    }
+
+    // Собственное приложение получает согласие сразу, стороннему provider покажет экран согласия
+    const firstParty = isFirstParty(res.locals.application);
+    const grantId = firstParty
+      ? await saveGrant(details, accountId, await requestedAccess(params, roles), { roles, groups })
+      : null;
+
+    metrics.recordLogin({ clientId, outcome: 'success' });
+    audit.record({
+      event: 'login.success',
+      outcome: 'success',
+      actor: accountId,
+      subject: accountId,
+      client_id: clientId,
+      ip: req.ip,
+      details: { amr, roles, groups },
+    });
+
+    const result = {
+      login: {
+        accountId,
+        amr,
+        acr: acrForAmr(amr),
+      },
+      ...(grantId ? { consent: { grantId } } : {}),
+    };
+
+    return provider.interactionFinished(req, res, result, {
+      mergeWithLastSubmission: true,
+    });
+  }
+
+  // Страница ввода TOTP-кода (или recovery code)
+  function sendMfaVerifyPage(req, res, error = null) {
+    return sendPage(req, res, 'mfa-verify', { error });
+  }
+
+  // Страница подключения TOTP: QR-код и otpauth URI
+  async function sendMfaEnrollPage(req, res, userId, secret, error = null) {
+    const otpauthUri = totpService.buildOtpauthUri(secret, userId);
+    const qrDataUrl = await QRCode.toDataURL(otpauthUri);
+    return sendPage(req, res, 'mfa-enroll', { error, secret, otpauthUri, qrDataUrl });
+  }
+
+  // Страница с recovery codes (показывается один раз после подключения)
+  function sendRecoveryCodesPage(req, res, codes) {
+    return sendPage(req, res, 'recovery-codes', { codes: codes || [] });
+  }
+
+  // Сообщение об ошибке на языке страницы
+  function pageMessage(req, res, key) {
+    return pages.translate(pageLocale(req, res), key);
+  }
+
+  // Второй шаг логина: проверка или подключение TOTP
+  // pending - состояние после проверки пароля, сохраненное в interaction.result
+  async function handleMfaStep(req, res, details, pending) {
+    const { accountId, enrollSecret, completed } = pending;
+
+    if (req.method === 'GET') {
+      if (completed) {
+        return sendRecoveryCodesPage(req, res, null);
+      }
+      if (enrollSecret) {
+        return sendMfaEnrollPage(req, res, accountId, enrollSecret);
+      }
+      return sendMfaVerifyPage(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).end();
+    }
+
+    // Подключение завершено, recovery codes показаны - завершаем логин
+    if (completed) {
+      return finishLogin(req, res, details, accountId, pending.amr);
+    }
+
+    // Неверные коды учитываются тем же счетчиком, что и неверные пароли
+    const throttle = await loginThrottle.check(accountId, req.ip);
+    if (!throttle.allowed) {
+      req.log.warn('MFA blocked by throttle', { accountId, ip: req.ip, scope: throttle.scope });
+      recordLoginFailure(req, accountId, details.params.client_id, 'locked');
+      return sendTooManyAttempts(req, res, throttle.retryAfterSeconds);
+    }
+
+    const registerFailure = async () => {
+      recordLoginFailure(req, accountId, details.params.client_id, 'invalid_mfa_code');
+      const failure = await loginThrottle.recordFailure(accountId, req.ip);
+      if (failure.account.locked || failure.ip.locked) {
+        return Math.max(failure.account.retryAfterSeconds, failure.ip.retryAfterSeconds);
+      }
+      return 0;
+    };
+
+    if (enrollSecret) {
+      const codes = await mfaService.enroll(accountId, enrollSecret, req.body.code);
+      if (!codes) {
+        const retryAfter = await registerFailure();
+        if (retryAfter) {
+          return sendTooManyAttempts(req, res, retryAfter);
+        }
+        return sendMfaEnrollPage(req, res, accountId, enrollSecret, pageMessage(req, res, 'common.invalidCode'));
+      }
+
+      req.log.info('TOTP enrolled', { accountId });
+      await loginThrottle.recordSuccess(accountId);
+      await provider.interactionResult(req, res, {
+        mfaPending: { accountId, completed: true, amr: AMR_TOTP },
+      }, { mergeWithLastSubmission: false });
+      return sendRecoveryCodesPage(req, res, codes);
+    }
+
+    const amr = await mfaService.verify(accountId, {
+      code: req.body.code,
+      recoveryCode: req.body.recovery_code,
+    });
+
+    if (!amr) {
+      const retryAfter = await registerFailure();
+      if (retryAfter) {
+        return sendTooManyAttempts(req, res, retryAfter);
+      }
+      return sendMfaVerifyPage(req, res, pageMessage(req, res, 'common.invalidCode'));
+    }
+
+    await loginThrottle.recordSuccess(accountId);
+    return finishLogin(req, res, details, accountId, amr);
+  }
+
+  // Страница согласия: запрошенные приложением scope, claims и разрешения API
+  async function sendConsentPage(req, res, details, access) {
+    const locale = pageLocale(req, res);
+    const [resource, resourceScopes] = Object.entries(access.resourceScopes)[0] || [];
+    const resourceServer = resource ? await store.findResourceServer(resource) : null;
+    return sendPage(req, res, 'consent', {
+      applicationName: res.locals.application?.name || details.params.client_id,
+      userId: details.session.accountId,
+      scopes: access.scopes.map(scope => pages.translate(locale, `consent.scopes.${scope}`)),
+      claims: access.claims.join(', '),
+      resourceName: resourceServer?.name || resource,
+      resourceScopes: (resourceScopes || []).join(', '),
+      action: `${basePath}/interaction/${details.uid}`,
+      consentsUrl: `${basePath}/account/consents`,
+    });
+  }
+
+  // Согласие пользователя (prompt consent): собственным приложениям и уже подтвержденным правам -
+  // без экрана, иначе страница согласия; решение пользователя сохраняется (пользователь + приложение)
+  async function handleConsent(req, res, details) {
+    const { params, session } = details;
+    const accountId = session.accountId;
+    const clientId = params.client_id;
+    const { roles, groups } = await resolveUserRoles(store, accountId, clientId);
+
+    // Роли могли быть сняты после логина (сессия provider еще действует)
+    if (roles.length === 0) {
+      return denyAccess(req, res, accountId, clientId);
+    }
+
+    const access = await requestedAccess(params, roles);
+    const firstParty = isFirstParty(res.locals.application);
+    const consent = firstParty ? null : await consents.find(accountId, clientId);
+    const decision = req.method === 'POST' ? req.body.decision : null;
+
+    if (firstParty || consents.covers(consent, access) || decision === 'allow') {
+      const grantId = await saveGrant(details, accountId, access, { roles, groups });
+      if (decision === 'allow') {
+        await consents.remember(accountId, clientId, access, grantId);
+        audit.record({
+          event: 'consent.granted',
+          outcome: 'success',
+          actor: accountId,
+          subject: accountId,
+          client_id: clientId,
+          ip: req.ip,
+          details: { scopes: access.scopes, claims: access.claims, resource_scopes: access.resourceScopes },
+        });
+      } else if (!firstParty) {
+        await consents.addGrant(accountId, clientId, grantId);
+      }
+      return provider.interactionFinished(req, res, { consent: { grantId } }, {
+        mergeWithLastSubmission: true,
+      });
+    }
+
+    if (decision === 'deny') {
+      audit.record({
+        event: 'consent.denied',
+        outcome: 'denied',
+        actor: accountId,
+        subject: accountId,
+        client_id: clientId,
+        ip: req.ip,
+      });
+      return provider.interactionFinished(req, res, {
+        error: 'access_denied',
+        error_description: 'End-User denied consent',
+      }, { mergeWithLastSubmission: false });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).end();
+    }
+    return sendConsentPage(req, res, details, access);
+  }
+
+  // Обработка взаимодействий (логин, второй фактор и согласие)
+  router.use('/interaction/:uid', async (req, res, next) => {
+    try {
+      let details;
+      try {
+        details = await provider.interactionDetails(req, res);
+      } catch (err) {
+        // Если interaction не найден или истек, возвращаем ошибку
+        if (err.name === 'SessionNotFound' || err.message?.includes('invalid_request') || err.code === 'invalid_request') {
+          metrics.recordInteractionExpired();
+          req.log.info('Interaction session not found or expired', {
+            uid: req.params.uid,
+            error: err.name || err.code,
+            message: err.message,
+          });
+          return sendPage(req, res, 'session-expired', { homeUrl: `${basePath}/` }, 400);
+        }
+        // Для других ошибок логируем и пробрасываем дальше
+        req.log.error('Error in interaction handler', err);
+        throw err;
+      }
+
+      const { uid, prompt, params, session } = details;
+
+      // Язык и оформление страниц: ui_locales запроса авторизации, название и логотип приложения
+      res.locals.uiLocales = params.ui_locales;
+      res.locals.application = await store.findApplication(params.client_id);
+
+      if (prompt.name === 'login') {
+        // Второй шаг логина (TOTP), если пароль уже проверен
+        const mfaPending = details.result?.mfaPending;
+        if (mfaPending) {
+          return handleMfaStep(req, res, details, mfaPending);
+        }
+
+        // Форма логина
+        if (req.method === 'GET') {
+          return sendPage(req, res, 'login');
+        }
+
+        if (req.method === 'POST') {
+          const { login, password } = req.body;
+
+          // Проверка блокировки до проверки пароля
+          const throttle = await loginThrottle.check(login, req.ip);
+          if (!throttle.allowed) {
+            req.log.warn('Login blocked by throttle', { login, ip: req.ip, scope: throttle.scope });
+            recordLoginFailure(req, login, params.client_id, 'locked');
+            return sendTooManyAttempts(req, res, throttle.retryAfterSeconds);
+          }
+
+          // Проверка учетных данных
+          const user = await userService.verifyCredentials(login, password);
+
+          if (!user) {
+            recordLoginFailure(req, login, params.client_id, 'invalid_credentials');
+            const failure = await loginThrottle.recordFailure(login, req.ip);
+            if (failure.account.locked || failure.ip.locked) {
+              return sendTooManyAttempts(
+                req,
+                res,
+                Math.max(failure.account.retryAfterSeconds, failure.ip.retryAfterSeconds)
+              );
+            }
+            // Форма показывается снова с сообщением об ошибке и введенным логином
+            return sendPage(req, res, 'login', {
+              login,
+              error: pageMessage(req, res, 'login.invalidCredentials'),
+            });
+          }
+
+          // Проверяем, есть ли у пользователя доступ к приложению
+          const clientId = params.client_id;
+          const { roles } = await resolveUserRoles(store, user.id, clientId);
+
+          if (roles.length === 0) {
+            await loginThrottle.recordSuccess(user.id);
+            return denyAccess(req, res, user.id, clientId);
+          }
+
+          // Если нужен второй фактор, сохраняем результат первого шага в interaction
+          // и показываем страницу проверки (или подключения) TOTP
+          const userRecord = await store.findUserById(user.id);
+          const { application } = res.locals;
+
+          if (mfaService.isRequired(userRecord, application, await getEffectiveRoles(application, roles))) {
+            await provider.interactionResult(req, res, {
+              mfaPending: {
+                accountId: user.id,
+                // Секрет для подключения генерируется заранее, чтобы QR-код не менялся при обновлении страницы
+                enrollSecret: mfaService.isEnrolled(userRecord) ? null : totpService.generateSecret(),
+              },
+            }, { mergeWithLastSubmission: false });
+            return res.redirect(303, `${basePath}/interaction/${uid}`);
+          }
+
+          await loginThrottle.recordSuccess(user.id);
+          return finishLogin(req, res, details, user.id, AMR_PASSWORD);
+        }
+      }
+
+      if (prompt.name === 'consent') {
+        return handleConsent(req, res, details);
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ========== OIDC Client функциональность ==========
+
+  // Временное хранилище для PKCE flow (только между началом авторизации и callback)
+  // Записи в kv с ключом pkce:<state>, значение - { codeVerifier, nonce, redirectUrl, clientId }
+  const pkceStorage = {
+    get: state => kv.get(`pkce:${state}`),
+    set: (state, data) => kv.set(`pkce:${state}`, data, settings.store.pkceTtlSeconds),
+    delete: state => kv.delete(`pkce:${state}`),
+  };
+
+  // Одноразовые коды для передачи токена приложению после callback
+  const handoffStore = createHandoffStore(kv, { ttlMs: settings.handoffTtlMs });
+
+  // Refresh токены приложений (в браузер попадает только идентификатор сессии в httpOnly cookie)
+  const refreshSessions = createRefreshSessionStore(kv, { ttlMs: settings.refreshSessionTtlMs });
+
+  // Cookie с идентификатором refresh сессии, отдельная для каждого приложения (и области)
+  function refreshCookieName(clientId) {
+    return isMainRealm ? `refresh_${clientId}` : `refresh_${name}_${clientId}`;
+  }
+
+  function refreshCookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: settings.cookies.sameSite,
+      secure: settings.cookies.secure,
+      path: basePath || '/', // Нужна и для /api/refresh, и для /client/logout
+    };
+  }
+
+  // Значение cookie или null; значение с неверным percent-encoding считается отсутствующим
+  function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+      const separator = part.indexOf('=');
+      if (separator !== -1 && part.slice(0, separator).trim() === name) {
+        try {
+          return decodeURIComponent(part.slice(separator + 1).trim());
+        } catch {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Токен, который получает приложение: JWT access token для его API или ID токен
+  function selectApplicationToken(application, tokenSet) {
+    return application.resource ? tokenSet.access_token : tokenSet.id_token || tokenSet.access_token;
+  }
+
+  // Получение или создание OIDC клиента для конкретного client_id
+  async function getOidcClient(clientId) {
+    const app = await store.findApplication(clientId);
+    if (!app || app.disabled) {
+      throw new Error(`Client ${clientId} not found`);
+    }
+
+    const discovered = await Issuer.discover(issuer);
+    const client = new discovered.Client({
+      client_id: app.client_id,
+      client_secret: app.secret,
+      redirect_uris: [callbackUrl],
+      response_types: ['code'],
+    });
+
+    return { issuer: discovered, client, app };
+  }
+
+  // Начало процесса авторизации (OIDC Client)
+  // return_to - адрес возврата после логина, должен совпадать с одним из адресов приложения
+  // (redirect_url, redirect_urls); без return_to используется основной redirect_url
+  // ui_locales - языки страниц логина по убыванию предпочтения (например, "ru en")
+  router.get('/client/auth', async (req, res) => {
+    try {
+      const clientId = req.query.client_id || 'demo-client';
+      const { client, app: application } = await getOidcClient(clientId);
+      res.locals.application = application;
+
+      // Адрес возврата проверяется до начала логина, чтобы не перенаправить пользователя на чужой сайт
+      let redirectUrl = application.redirect_url;
+      if (req.query.return_to) {
+        const match = matchRedirectUrl(application, req.query.return_to);
+        if (!match) {
+          req.log.info('Client auth: return_to is not registered', { clientId, returnTo: req.query.return_to });
+          return sendErrorPage(req, res, 400, 'invalidReturnTo');
+        }
+        redirectUrl = match.url;
+      }
+      if (!redirectUrl) {
+        throw new Error(`Client ${clientId} has no redirect_url`);
+      }
+
+      // Генерация code_verifier и code_challenge для PKCE
+      const codeVerifier = generators.codeVerifier();
+      const codeChallenge = generators.codeChallenge(codeVerifier);
+
+      // Генерация state и nonce
+      const state = generators.random();
+      const nonce = generators.random();
+
+      // Временно сохраняем для PKCE (будет удалено после callback)
+      await pkceStorage.set(state, { codeVerifier, nonce, redirectUrl, clientId });
+
+      // Если у приложения есть API (resource server), запрашиваем access token для него
+      const resourceServer = application.resource
+        ? await store.findResourceServer(application.resource)
+        : null;
+      const scope = ['openid profile email', ...(resourceServer?.scopes || [])].join(' ');
+
+      // Параметры авторизации
+      const authUrl = client.authorizationUrl({
+        redirect_uri: callbackUrl,
+        scope,
+        ...(resourceServer ? { resource: resourceServer.identifier } : {}),
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        state,
+        nonce,
+        // Язык страниц логина, выбранный в приложении
+        ...(typeof req.query.ui_locales === 'string' ? { ui_locales: req.query.ui_locales } : {}),
+      });
+
+      res.redirect(authUrl);
+    } catch (error) {
+      req.log.error('Client auth error', error);
+      sendErrorPage(req, res, 500, 'clientAuthFailed', { errorMessage: error.message });
+    }
+  });
+
+  // Callback от provider (OIDC Client) - используем отдельный путь
+  router.get('/client/callback', async (req, res) => {
+    // Приложение, для которого выполняется вход (метка метрик ошибок)
+    let callbackClientId;
+    try {
+      const params = req.query;
+
+      // Проверка наличия обязательных параметров
+      if (!params.state) {
+        metrics.recordCallbackError({ reason: 'missing_state' });
+        return sendErrorPage(req, res, 400, 'missingState', { retryUrl: `${basePath}/client/auth` });
+      }
+
+      // Получаем PKCE данные
+      const pkceData = await pkceStorage.get(params.state);
+      if (!pkceData) {
+        metrics.recordCallbackError({ reason: 'state_not_found' });
+        return sendErrorPage(req, res, 400, 'stateNotFound', { retryUrl: `${basePath}/client/auth` });
+      }
+      callbackClientId = pkceData.clientId;
+      res.locals.application = await store.findApplication(pkceData.clientId);
+      // Повторный вход - для того же приложения
+      const retryUrl = `${basePath}/client/auth?client_id=${encodeURIComponent(pkceData.clientId)}`;
+
+      // Если есть ошибка от provider
+      if (params.error) {
+        metrics.recordCallbackError({ clientId: pkceData.clientId, reason: callbackErrorReason(params.error) });
+        await pkceStorage.delete(params.state);
+        return sendErrorPage(req, res, 400, 'providerError', {
+          oauthError: params.error,
+          oauthErrorDescription: params.error_description,
+          retryUrl,
+        });
+      }
+
+      if (!params.code) {
+        metrics.recordCallbackError({ clientId: pkceData.clientId, reason: 'missing_code' });
+        await pkceStorage.delete(params.state);
+        return sendErrorPage(req, res, 400, 'missingCode', { retryUrl });
+      }
+
+      const { client, app: application } = await getOidcClient(pkceData.clientId);
+      const { codeVerifier, nonce, redirectUrl } = pkceData;
+
+      // Обмен кода на токены
+      const tokenSet = await client.callback(
+        callbackUrl,
+        params,
+        {
+          code_verifier: codeVerifier,
+          state: params.state,
+          nonce,
+        }
+      );
+
+      // Очищаем временные PKCE данные
+      await pkceStorage.delete(params.state);
+
+      // Валидация токенов
+      const claims = tokenSet.claims();
+
+      if (!claims || !claims.sub) {
+        throw new Error('No sub claim in token');
+      }
+
+      req.log.debug('Token set received', {
+        sub: claims.sub,
+        access_token: tokenSet.access_token ? 'present' : 'absent',
+        id_token: tokenSet.id_token ? 'present' : 'absent',
+        refresh_token: tokenSet.refresh_token ? 'present' : 'absent',
+      });
+
+      // Приложению с API передается JWT access token для этого API, остальным - ID токен
+      const token = selectApplicationToken(application, tokenSet);
+      if (!token) {
+        throw new Error('No token issued for application');
+      }
+
+      // Refresh токен остается на сервере, браузер получает только cookie с идентификатором сессии
+      if (tokenSet.refresh_token) {
+        const previousSessionId = readCookie(req, refreshCookieName(pkceData.clientId));
+        if (previousSessionId) {
+          await refreshSessions.delete(previousSessionId);
+        }
+        const sessionId = await refreshSessions.create(pkceData.clientId, tokenSet.refresh_token, tokenSet.id_token);
+        res.cookie(refreshCookieName(pkceData.clientId), sessionId, {
+          ...refreshCookieOptions(),
+          maxAge: settings.refreshSessionTtlMs,
+        });
+      }
+
+      // Токен не передается в URL: приложение получает одноразовый код
+      // и обменивает его на токен через POST /api/token
+      const handoffCode = await handoffStore.issue(pkceData.clientId, token);
+      const finalRedirectUrl = new URL(redirectUrl);
+      finalRedirectUrl.searchParams.set('handoff', handoffCode);
+      res.redirect(finalRedirectUrl.toString());
+    } catch (error) {
+      req.log.error('Callback error', error);
+      metrics.recordCallbackError({ clientId: callbackClientId, reason: callbackExceptionReason(error) });
+
+      // Очистка при ошибке
+      if (req.query.state) {
+        await pkceStorage.delete(req.query.state);
+      }
+
+      const retryQuery = callbackClientId ? `?client_id=${encodeURIComponent(callbackClientId)}` : '';
+      sendErrorPage(req, res, 500, 'callbackFailed', {
+        errorMessage: error.message,
+        retryUrl: `${basePath}/client/auth${retryQuery}`,
+      });
+    }
+  });
+
+  // Выход из приложения (RP-initiated logout)
+  // Отзывает refresh токен приложения и перенаправляет на end_session provider с id_token_hint,
+  // после выхода provider возвращает пользователя на redirect_url приложения
+  // или на зарегистрированный адрес, которому соответствует return_to (post_logout_redirect_uri)
+  router.get('/client/logout', async (req, res) => {
+    try {
+      const clientId = req.query.client_id || 'demo-client';
+      const { client, app: application } = await getOidcClient(clientId);
+
+      const cookieName = refreshCookieName(clientId);
+      const sessionId = readCookie(req, cookieName);
+      const session = await refreshSessions.find(sessionId, clientId);
+
+      if (session) {
+        try {
+          await client.revoke(session.refreshToken, 'refresh_token');
+          audit.record({
+            event: 'token.revoked',
+            outcome: 'success',
+            client_id: clientId,
+            ip: req.ip,
+            reason: 'logout',
+            details: { token_type: 'refresh_token' },
+          });
+        } catch (error) {
+          req.log.warn('Refresh token revocation failed', { clientId, message: error.message });
+        }
+        await refreshSessions.delete(sessionId);
+      }
+      res.clearCookie(cookieName, refreshCookieOptions());
+
+      // Provider принимает только зарегистрированный адрес целиком, поэтому путь return_to не сохраняется
+      const match = req.query.return_to ? matchRedirectUrl(application, req.query.return_to) : null;
+
+      // Без id_token_hint (refresh сессия истекла) provider попросит подтвердить выход
+      const endSessionUrl = client.endSessionUrl({
+        id_token_hint: session?.idToken,
+        post_logout_redirect_uri: match?.registeredUrl || application.redirect_url,
+      });
+      res.redirect(endSessionUrl);
+    } catch (error) {
+      req.log.error('Client logout error', error);
+      sendErrorPage(req, res, 500, 'logoutFailed', { errorMessage: error.message });
+    }
+  });
+
+  // Проверка, что запрос из браузера пришел с origin приложения (origin любого из его адресов возврата)
+  async function isOriginAllowedForClient(origin, clientId) {
+    const application = await store.findApplication(clientId);
+    return !!application && !application.disabled && getApplicationOrigins(application).has(origin);
+  }
+
+  // CORS для обмена кода и обновления токена: разрешены только origin зарегистрированных приложений
+  // Credentials нужны для cookie refresh сессии
+  router.use(['/api/token', '/api/refresh'], async (req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin) {
+      return next();
+    }
+
+    try {
+      const applications = await store.listApplications();
+      const allowed = applications.some(application => !application.disabled && getApplicationOrigins(application).has(origin));
+      if (allowed) {
+        res.set('Access-Control-Allow-Origin', origin);
+        res.set('Access-Control-Allow-Methods', 'POST');
+        res.set('Access-Control-Allow-Headers', 'Content-Type');
+        res.set('Access-Control-Allow-Credentials', 'true');
+        res.set('Access-Control-Max-Age', '600');
+        res.vary('Origin');
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(204);
+    }
+    next();
+  });
+
+  // Обмен одноразового кода на токен
+  // Код выдается в /client/callback, действует HANDOFF_TTL_MS и только для своего client_id
+  router.post('/api/token', async (req, res, next) => {
+    const { code, client_id: clientId } = req.body || {};
+
+    if (!code || !clientId) {
+      return res.status(400).json({ error: 'invalid_request', message: 'code and client_id are required' });
+    }
+
+    // Запрос из браузера должен приходить с origin приложения, для которого выдан код
+    const origin = req.get('Origin');
+    if (origin) {
+      try {
+        if (!(await isOriginAllowedForClient(origin, clientId))) {
+          return res.status(403).json({ error: 'invalid_client', message: 'Origin is not allowed for this client' });
+        }
+      } catch (err) {
+        return next(err);
+      }
+    }
+
+    let result;
+    try {
+      result = await handoffStore.redeem(code, clientId);
+    } catch (err) {
+      return next(err);
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error, message: 'Code is invalid, expired or already used' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ token: result.token });
+  });
+
+  // Обновление токена приложения по refresh сессии из httpOnly cookie
+  // Вызывается браузером приложения (fetch с credentials), поэтому Origin обязателен:
+  // cookie отправляется только вместе с проверенным origin приложения
+  router.post('/api/refresh', async (req, res, next) => {
+    const { client_id: clientId } = req.body || {};
+
+    if (!clientId) {
+      return res.status(400).json({ error: 'invalid_request', message: 'client_id is required' });
+    }
+
+    const cookieName = refreshCookieName(clientId);
+    const rejectSession = async (sessionId, message) => {
+      if (sessionId) {
+        await refreshSessions.delete(sessionId);
+      }
+      res.clearCookie(cookieName, refreshCookieOptions());
+      return res.status(401).json({ error: 'invalid_grant', message });
+    };
+
+    try {
+      const origin = req.get('Origin');
+      if (!origin || !(await isOriginAllowedForClient(origin, clientId))) {
+        return res.status(403).json({ error: 'invalid_client', message: 'Origin is not allowed for this client' });
+      }
+
+      const sessionId = readCookie(req, cookieName);
+      const session = await refreshSessions.find(sessionId, clientId);
+      if (!session) {
+        return rejectSession(sessionId, 'Refresh session not found or expired');
+      }
+
+      const { client, app: application } = await getOidcClient(clientId);
+
+      let tokenSet;
+      try {
+        tokenSet = await client.refresh(session.refreshToken);
+      } catch (error) {
+        // Refresh токен отозван, истек или пользователь отключен - нужен новый логин
+        req.log.info('Token refresh failed', { clientId, message: error.message });
+        return rejectSession(sessionId, 'Refresh token is no longer valid');
+      }
+
+      // Provider может выдать новый refresh токен (ротация)
+      if (tokenSet.refresh_token) {
+        await refreshSessions.update(sessionId, tokenSet.refresh_token, tokenSet.id_token);
+      }
+
+      const token = selectApplicationToken(application, tokenSet);
+      if (!token) {
+        return rejectSession(sessionId, 'No token issued for application');
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ token });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ========== Согласия пользователя ==========
+
+  // Пользователь сессии provider области (вход через любое приложение) или null
+  async function sessionAccountId(req, res) {
+    const session = await provider.Session.get(provider.app.createContext(req, res));
+    return session.accountId || null;
+  }
+
+  // Список приложений, которым пользователь дал согласие, с кнопками отзыва
+  router.get('/account/consents', async (req, res, next) => {
+    try {
+      const accountId = await sessionAccountId(req, res);
+      res.set('Cache-Control', 'no-store');
+      if (!accountId) {
+        return sendPage(req, res, 'consents', { signedOut: true }, 401);
+      }
+
+      const list = await consents.list(accountId);
+      const items = await Promise.all(list.map(async (consent) => {
+        const application = await store.findApplication(consent.client_id);
+        return {
+          clientId: consent.client_id,
+          applicationName: application?.name || consent.client_id,
+          rights: [
+            ...consent.scopes,
+            ...consent.claims,
+            ...Object.values(consent.resource_scopes || {}).flat(),
+          ].join(', '),
+          grantedAt: consent.granted_at,
+          revokeAction: `${basePath}/account/consents/${encodeURIComponent(consent.client_id)}/revoke`,
+        };
+      }));
+      return sendPage(req, res, 'consents', {
+        userId: accountId,
+        consents: items,
+        revoked: typeof req.query.revoked === 'string' ? req.query.revoked : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Отзыв согласия: удаляются запись согласия и grant provider (refresh токены и коды приложения),
+  // уже выданные JWT access токены отзываются в API (denylist), при следующем входе приложение снова запросит согласие
+  router.post('/account/consents/:clientId/revoke', async (req, res, next) => {
+    try {
+      // Форма отправляется только со страницы auth-service (защита от CSRF), поэтому Origin обязателен:
+      // cookie сессии provider отправляется и с cross-site запросами (SameSite=None).
+      // Сравнивается с публичным адресом, с которого отдается страница (за прокси он может отличаться от issuer)
+      const origin = req.get('Origin');
+      if (!origin || origin !== new URL(settings.publicUrl).origin) {
+        return res.status(403).json({ error: 'forbidden', message: 'Origin is not allowed' });
+      }
+
+      const accountId = await sessionAccountId(req, res);
+      if (!accountId) {
+        return res.redirect(303, `${basePath}/account/consents`);
+      }
+
+      const { clientId } = req.params;
+      const consent = await consents.revoke(accountId, clientId);
+      if (!consent) {
+        return res.status(404).json({ error: 'not_found', message: `No consent for ${clientId}` });
+      }
+
+      for (const grantId of consent.grant_ids || []) {
+        await provider.Grant.adapter.revokeByGrantId(grantId);
+        await provider.Grant.adapter.destroy(grantId);
+      }
+      // Access токены проверяются API локально: как и при смене ролей, отзываются токены пользователя,
+      // выданные до этого момента (JWT не связан с grant, отдельно по приложению их не отозвать)
+      await revocationNotifier.revokeUser(accountId);
+      audit.record({
+        event: 'consent.revoked',
+        outcome: 'success',
+        actor: accountId,
+        subject: accountId,
+        client_id: clientId,
+        ip: req.ip,
+      });
+      req.log.info('Consent revoked', { accountId, clientId });
+      return res.redirect(303, `${basePath}/account/consents?revoked=${encodeURIComponent(clientId)}`);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Management API для admin-backend (пользователи, приложения, роли, отзыв токенов, журнал аудита)
+  router.use('/manage', createManagementRouter({ store, userService, mfaService, loginThrottle, revocationNotifier, audit }));
+
+  // Подключаем OIDC Provider routes (после client routes)
+  router.use(provider.callback());
+
+  return {
+    name,
+    basePath,
+    issuer,
+    store,
+    router,
+  };
+}
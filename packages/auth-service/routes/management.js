@@ -0,0 +1,673 @@
+// Management API: управление пользователями, группами, приложениями и ролями, список resource servers,
+// отзыв access токенов, журнал аудита
+//
+// Предназначен для вызова из admin-backend (сервер-сервер), а не из браузера.
+// Аутентификация - HTTP Basic с client_id и secret приложения, у которого включен management_api.
+// Идентификатор администратора, выполняющего действие, передается в заголовке X-Actor,
+// его IP - в X-Actor-IP. Изменения записываются в журнал аудита (события admin.*).
+// Записи лога содержат requestId из X-Request-Id admin-backend (req.log области).
+
+import crypto from 'crypto';
+import express from 'express';
+import { toPublicUser } from '../services/users.js';
+import { normalizeRevocation } from '../services/revocation.js';
+import { getResourceServerPolicy, expandResourceRoles, resolveResourcePermissions, resolveUserRoles } from '../services/roles.js';
+
+const CLIENT_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,63}$/;
+const USER_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._@-]{0,63}$/;
+const GROUP_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+
+function generateClientSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.code = 'invalid_request';
+  return error;
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Цвет кнопок и ссылок на страницах логина приложения
+function isValidColor(value) {
+  return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+// Оформление страниц логина: логотип (logo_uri) и цвет (primary_color); пустое значение - оформление области
+function parseBranding({ logo_uri: logoUri, primary_color: primaryColor }) {
+  const branding = {};
+  if (logoUri !== undefined) {
+    if (logoUri && !isValidUrl(logoUri)) {
+      throw badRequest('logo_uri must be an absolute http(s) URL');
+    }
+    branding.logo_uri = logoUri || undefined;
+  }
+  if (primaryColor !== undefined) {
+    if (primaryColor && !isValidColor(primaryColor)) {
+      throw badRequest('primary_color must be a hex color (#rgb or #rrggbb)');
+    }
+    branding.primary_color = primaryColor || undefined;
+  }
+  return branding;
+}
+
+// Собственное приложение (first_party) получает согласие пользователя без экрана согласия
+function parseFirstParty(value) {
+  if (typeof value !== 'boolean') {
+    throw badRequest('first_party must be a boolean');
+  }
+  return value;
+}
+
+// Роли приложения, для которых обязателен второй фактор
+function parseMfaRequiredRoles(value) {
+  if (!Array.isArray(value)) {
+    throw badRequest('mfa_required_roles must be an array');
+  }
+  return value.map(String);
+}
+
+// Дополнительные адреса возврата после логина (return_to в /client/auth)
+function parseRedirectUrls(value) {
+  if (!Array.isArray(value) || !value.every(isValidUrl)) {
+    throw badRequest('redirect_urls must be an array of absolute http(s) URLs');
+  }
+  return [...new Set(value)];
+}
+
+// Список ролей из тела запроса: { roles: [...] } или { role } (одна роль)
+function parseRoles(body) {
+  const value = body?.roles ?? (body?.role !== undefined ? [body.role] : undefined);
+  if (!Array.isArray(value) || value.length === 0 || !value.every(role => typeof role === 'string' && role.trim() !== '')) {
+    throw badRequest('roles must be a non-empty array of role names');
+  }
+  return [...new Set(value.map(role => role.trim()))];
+}
+
+// Публичное представление приложения (секрет не возвращается)
+function toPublicApplication(application) {
+  const { secret, ...rest } = application;
+  return { ...rest, has_secret: !!secret };
+}
+
+// Часть учетных данных HTTP Basic (client_id и secret в form-urlencoding); null - неверное %-кодирование
+function decodeCredential(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+// Фильтры GET /audit (см. services/audit.js)
+const AUDIT_FILTERS = ['event', 'outcome', 'actor', 'subject', 'client_id', 'ip', 'from', 'to', 'offset', 'limit'];
+
+export function createManagementRouter({ store, userService, mfaService, loginThrottle, revocationNotifier, audit }) {
+  const router = express.Router();
+
+  // Аутентификация вызывающего сервиса
+  router.use(async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || '';
+      if (!header.startsWith('Basic ')) {
+        res.set('WWW-Authenticate', 'Basic realm="management"');
+        return res.status(401).json({ error: 'unauthorized', message: 'Client credentials required' });
+      }
+
+      const decoded = Buffer.from(header.slice(6), 'base64').toString();
+      const separator = decoded.indexOf(':');
+      const clientId = decodeCredential(decoded.slice(0, separator));
+      const secret = decodeCredential(decoded.slice(separator + 1));
+      const application = separator > 0 && clientId !== null && secret !== null
+        ? await store.findApplication(clientId)
+        : null;
+
+      if (!application || application.disabled || !application.secret || !safeEqual(application.secret, secret)) {
+        return res.status(401).json({ error: 'unauthorized', message: 'Invalid client credentials' });
+      }
+      if (!application.management_api) {
+        return res.status(403).json({ error: 'forbidden', message: `Client ${clientId} is not allowed to use management API` });
+      }
+
+      req.managementClient = clientId;
+      req.actor = req.headers['x-actor'] || null;
+      req.actorIp = req.headers['x-actor-ip'] || req.ip;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Обертка для async обработчиков
+  const handle = (fn) => (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+
+  // Изменение, выполненное администратором: строка в логе и запись в журнале аудита
+  // subject - пользователь или группа, над которыми выполнено действие
+  function recordChange(req, action, { subject, clientId, details } = {}) {
+    req.log.info(`Management API: ${action}`, { subject, clientId, ...details, actor: req.actor });
+    audit.record({
+      event: `admin.${action}`,
+      outcome: 'success',
+      actor: req.actor || req.managementClient,
+      subject,
+      client_id: clientId,
+      ip: req.actorIp,
+      details,
+    });
+  }
+
+  // Полная информация о пользователе для администратора
+  async function describeUser(user) {
+    return {
+      ...toPublicUser(user),
+      disabled: !!user.disabled,
+      roles: await store.getUserAppRoles(user.id),
+      groups: (await store.listUserGroups(user.id)).map(group => ({ id: group.id, name: group.name, roles: group.roles })),
+      mfa: mfaService.getStatus(user),
+      lockout: await loginThrottle.getAccountState(user.id),
+    };
+  }
+
+  async function requireUser(id) {
+    const user = await store.findUserById(id);
+    if (!user) {
+      const error = new Error(`User ${id} not found`);
+      error.code = 'not_found';
+      throw error;
+    }
+    return user;
+  }
+
+  async function requireApplication(clientId) {
+    const application = await store.findApplication(clientId);
+    if (!application) {
+      const error = new Error(`Application ${clientId} not found`);
+      error.code = 'not_found';
+      throw error;
+    }
+    return application;
+  }
+
+  async function requireGroup(id) {
+    const group = await store.findGroup(id);
+    if (!group) {
+      const error = new Error(`Group ${id} not found`);
+      error.code = 'not_found';
+      throw error;
+    }
+    return group;
+  }
+
+  async function requireResourceServer(identifier) {
+    const resourceServer = await store.findResourceServer(identifier);
+    if (!resourceServer) {
+      throw badRequest(`Unknown resource server: ${identifier}`);
+    }
+    return resourceServer;
+  }
+
+  // ========== Пользователи ==========
+
+  // Список пользователей с поиском и пагинацией
+  router.get('/users', handle(async (req, res) => {
+    const search = String(req.query.search || '').trim().toLowerCase();
+    const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+    const users = (await store.listUsers()).filter(user => !search
+      || user.id.toLowerCase().includes(search)
+      || user.name?.toLowerCase().includes(search)
+      || user.email?.toLowerCase().includes(search));
+
+    res.json({
+      items: users.slice(offset, offset + limit).map(user => ({
+        ...toPublicUser(user),
+        disabled: !!user.disabled,
+        mfa: mfaService.getStatus(user),
+      })),
+      total: users.length,
+      offset,
+      limit,
+    });
+  }));
+
+  router.get('/users/:id', handle(async (req, res) => {
+    res.json(await describeUser(await requireUser(req.params.id)));
+  }));
+
+  // Создание пользователя (пароль проверяется политикой паролей)
+  router.post('/users', handle(async (req, res) => {
+    const { id, name, email, password } = req.body || {};
+    if (!USER_ID_PATTERN.test(id || '')) {
+      throw badRequest('Invalid user id');
+    }
+
+    const user = await userService.createUser({ id, name: name || id, email: email || null, password });
+    recordChange(req, 'user.created', { subject: id });
+    res.status(201).json(await describeUser(user));
+  }));
+
+  // Изменение пользователя: имя, email, отключение, смена пароля
+  router.patch('/users/:id', handle(async (req, res) => {
+    await requireUser(req.params.id);
+    const { name, email, disabled, password } = req.body || {};
+
+    const patch = {};
+    if (name !== undefined) patch.name = String(name);
+    if (email !== undefined) patch.email = email ? String(email) : null;
+    if (disabled !== undefined) patch.disabled = !!disabled;
+
+    if (password !== undefined) {
+      await userService.setPassword(req.params.id, password);
+    }
+    const user = await store.updateUser(req.params.id, patch);
+
+    // Отключенный пользователь или старый пароль: ранее выданные access токены отзываются
+    if (patch.disabled || password !== undefined) {
+      await revocationNotifier.revokeUser(req.params.id);
+    }
+
+    recordChange(req, 'user.updated', { subject: req.params.id, details: { fields: Object.keys(req.body || {}) } });
+    res.json(await describeUser(user));
+  }));
+
+  // Снятие блокировки после неудачных попыток входа
+  router.post('/users/:id/unlock', handle(async (req, res) => {
+    const user = await requireUser(req.params.id);
+    await loginThrottle.unlockAccount(user.id);
+    recordChange(req, 'user.unlocked', { subject: user.id });
+    res.json(await describeUser(user));
+  }));
+
+  // Сброс второго фактора (пользователь подключит TOTP заново при следующем входе)
+  router.delete('/users/:id/mfa', handle(async (req, res) => {
+    const user = await requireUser(req.params.id);
+    await mfaService.disable(user.id);
+    recordChange(req, 'user.mfa_reset', { subject: user.id });
+    res.json(await describeUser(await store.findUserById(user.id)));
+  }));
+
+  // ========== Приложения (OIDC clients) ==========
+
+  router.get('/applications', handle(async (req, res) => {
+    res.json({ items: (await store.listApplications()).map(toPublicApplication) });
+  }));
+
+  router.get('/applications/:clientId', handle(async (req, res) => {
+    res.json(toPublicApplication(await requireApplication(req.params.clientId)));
+  }));
+
+  // Регистрация приложения, секрет возвращается один раз
+  router.post('/applications', handle(async (req, res) => {
+    const {
+      client_id: clientId,
+      name,
+      redirect_url: redirectUrl,
+      redirect_urls: redirectUrls,
+      mfa_required_roles: mfaRequiredRoles,
+      resource,
+      backchannel_logout_uri: backchannelLogoutUri,
+      revocation_push_uri: revocationPushUri,
+      first_party: firstParty,
+    } = req.body || {};
+    if (!CLIENT_ID_PATTERN.test(clientId || '')) {
+      throw badRequest('Invalid client_id');
+    }
+    if (!isValidUrl(redirectUrl)) {
+      throw badRequest('redirect_url must be an absolute http(s) URL');
+    }
+    const additionalRedirectUrls = redirectUrls !== undefined ? parseRedirectUrls(redirectUrls) : [];
+    const mfaRoles = mfaRequiredRoles !== undefined ? parseMfaRequiredRoles(mfaRequiredRoles) : [];
+    if (resource) {
+      await requireResourceServer(resource);
+    }
+    if (backchannelLogoutUri && !isValidUrl(backchannelLogoutUri)) {
+      throw badRequest('backchannel_logout_uri must be an absolute http(s) URL');
+    }
+    if (revocationPushUri && !isValidUrl(revocationPushUri)) {
+      throw badRequest('revocation_push_uri must be an absolute http(s) URL');
+    }
+    const branding = parseBranding(req.body || {});
+    // Без first_party новое приложение считается сторонним: согласие пользователя запрашивается,
+    // пока администратор явно не отметит приложение собственным
+    const isFirstParty = firstParty !== undefined ? parseFirstParty(firstParty) : false;
+
+    const secret = generateClientSecret();
+    const application = await store.createApplication({
+      client_id: clientId,
+      name: name || clientId,
+      secret,
+      redirect_url: redirectUrl,
+      redirect_urls: additionalRedirectUrls,
+      mfa_required_roles: mfaRoles,
+      first_party: isFirstParty,
+      ...(resource ? { resource } : {}),
+      ...(backchannelLogoutUri ? { backchannel_logout_uri: backchannelLogoutUri } : {}),
+      ...(revocationPushUri ? { revocation_push_uri: revocationPushUri } : {}),
+      ...(branding.logo_uri ? { logo_uri: branding.logo_uri } : {}),
+      ...(branding.primary_color ? { primary_color: branding.primary_color } : {}),
+    });
+
+    recordChange(req, 'application.registered', { clientId });
+    res.status(201).json({ ...toPublicApplication(application), secret });
+  }));
+
+  // Изменение приложения: имя, redirect_url и redirect_urls, отключение, роли с обязательным вторым фактором,
+  // API (resource), адреса уведомлений back-channel logout и отзыва токенов, логотип и цвет страниц логина,
+  // признак собственного приложения (first_party)
+  router.patch('/applications/:clientId', handle(async (req, res) => {
+    await requireApplication(req.params.clientId);
+    const {
+      name,
+      redirect_url: redirectUrl,
+      redirect_urls: redirectUrls,
+      disabled,
+      mfa_required_roles: mfaRequiredRoles,
+      resource,
+      backchannel_logout_uri: backchannelLogoutUri,
+      revocation_push_uri: revocationPushUri,
+      first_party: firstParty,
+    } = req.body || {};
+
+    const patch = {};
+    if (name !== undefined) patch.name = String(name);
+    if (redirectUrl !== undefined) {
+      if (!isValidUrl(redirectUrl)) {
+        throw badRequest('redirect_url must be an absolute http(s) URL');
+      }
+      patch.redirect_url = redirectUrl;
+    }
+    if (redirectUrls !== undefined) {
+      patch.redirect_urls = parseRedirectUrls(redirectUrls);
+    }
+    if (disabled !== undefined) patch.disabled = !!disabled;
+    if (firstParty !== undefined) patch.first_party = parseFirstParty(firstParty);
+    if (mfaRequiredRoles !== undefined) patch.mfa_required_roles = parseMfaRequiredRoles(mfaRequiredRoles);
+    if (resource !== undefined) {
+      // null или пустая строка - приложение больше не получает access token для API
+      if (resource) {
+        await requireResourceServer(resource);
+      }
+      patch.resource = resource || undefined;
+    }
+    if (backchannelLogoutUri !== undefined) {
+      if (backchannelLogoutUri && !isValidUrl(backchannelLogoutUri)) {
+        throw badRequest('backchannel_logout_uri must be an absolute http(s) URL');
+      }
+      patch.backchannel_logout_uri = backchannelLogoutUri || undefined;
+    }
+    if (revocationPushUri !== undefined) {
+      if (revocationPushUri && !isValidUrl(revocationPushUri)) {
+        throw badRequest('revocation_push_uri must be an absolute http(s) URL');
+      }
+      patch.revocation_push_uri = revocationPushUri || undefined;
+    }
+    Object.assign(patch, parseBranding(req.body || {}));
+
+    const application = await store.updateApplication(req.params.clientId, patch);
+    recordChange(req, 'application.updated', { clientId: req.params.clientId, details: { fields: Object.keys(patch) } });
+    res.json(toPublicApplication(application));
+  }));
+
+  // Ротация секрета клиента, новый секрет возвращается один раз
+  router.post('/applications/:clientId/rotate-secret', handle(async (req, res) => {
+    await requireApplication(req.params.clientId);
+    const secret = generateClientSecret();
+    const application = await store.updateApplication(req.params.clientId, { secret });
+    recordChange(req, 'application.secret_rotated', { clientId: req.params.clientId });
+    res.json({ ...toPublicApplication(application), secret });
+  }));
+
+  // ========== Resource servers (API) ==========
+
+  router.get('/resource-servers', handle(async (req, res) => {
+    res.json({ items: await store.listResourceServers() });
+  }));
+
+  // ========== Роли: пользователь -> приложение -> роли ==========
+
+  // Если роли описаны в API приложения, назначаются только описанные роли
+  async function assertKnownRoles(application, roles) {
+    const resourceServer = application.resource ? await store.findResourceServer(application.resource) : null;
+    const policy = getResourceServerPolicy(resourceServer);
+    const unknown = policy ? roles.filter(role => !policy.hasRole(role)) : [];
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown role ${unknown.join(', ')} for ${application.client_id}, expected one of ${policy.roleNames.join(', ')}`);
+    }
+  }
+
+  router.get('/roles', handle(async (req, res) => {
+    res.json(await store.listUserAppRoles());
+  }));
+
+  // Роли пользователя в приложении: назначенные напрямую, полученные через группы,
+  // все роли с учетом наследования и разрешения
+  router.get('/roles/:userId/:clientId', handle(async (req, res) => {
+    const { userId, clientId } = req.params;
+    await requireUser(userId);
+    const application = await requireApplication(clientId);
+    const resourceServer = application.resource ? await store.findResourceServer(application.resource) : null;
+    const { roles } = await resolveUserRoles(store, userId, clientId);
+    const groupRoles = Object.fromEntries((await store.listUserGroups(userId))
+      .filter(group => group.roles[clientId])
+      .map(group => [group.id, group.roles[clientId]]));
+    res.json({
+      userId,
+      clientId,
+      roles: await store.getUserRoles(userId, clientId),
+      groupRoles,
+      effectiveRoles: expandResourceRoles(resourceServer, roles),
+      permissions: resourceServer && roles.length > 0 ? resolveResourcePermissions(resourceServer, roles) : [],
+    });
+  }));
+
+  // Замена списка ролей пользователя в приложении
+  router.put('/roles/:userId/:clientId', handle(async (req, res) => {
+    const { userId, clientId } = req.params;
+    const roles = parseRoles(req.body);
+    await requireUser(userId);
+    await assertKnownRoles(await requireApplication(clientId), roles);
+
+    await store.setUserRoles(userId, clientId, roles);
+    // Роли, scope и разрешения в уже выданных access токенах устарели
+    await revocationNotifier.revokeUser(userId);
+    recordChange(req, 'roles.assigned', { subject: userId, clientId, details: { roles } });
+    res.json({ userId, clientId, roles });
+  }));
+
+  router.delete('/roles/:userId/:clientId', handle(async (req, res) => {
+    const { userId, clientId } = req.params;
+    const removed = await store.removeUserAppRoles(userId, clientId);
+    if (!removed) {
+      return res.status(404).json({ error: 'not_found', message: `User ${userId} has no roles in ${clientId}` });
+    }
+    await revocationNotifier.revokeUser(userId);
+    recordChange(req, 'roles.removed', { subject: userId, clientId });
+    res.status(204).end();
+  }));
+
+  // ========== Группы: участники получают роли группы в приложениях ==========
+
+  // Роли участников изменились: ранее выданные access токены отзываются
+  async function revokeMembers(group) {
+    for (const userId of group.members) {
+      await revocationNotifier.revokeUser(userId);
+    }
+  }
+
+  router.get('/groups', handle(async (req, res) => {
+    res.json({ items: await store.listGroups() });
+  }));
+
+  router.post('/groups', handle(async (req, res) => {
+    const { id, name, description } = req.body || {};
+    if (!GROUP_ID_PATTERN.test(id || '')) {
+      throw badRequest('Invalid group id');
+    }
+    const group = await store.createGroup({
+      id,
+      name: name ? String(name) : id,
+      ...(description ? { description: String(description) } : {}),
+      members: [],
+      roles: {},
+    });
+    recordChange(req, 'group.created', { subject: id });
+    res.status(201).json(group);
+  }));
+
+  router.get('/groups/:id', handle(async (req, res) => {
+    res.json(await requireGroup(req.params.id));
+  }));
+
+  router.patch('/groups/:id', handle(async (req, res) => {
+    await requireGroup(req.params.id);
+    const { name, description } = req.body || {};
+    const patch = {};
+    if (name !== undefined) patch.name = String(name);
+    if (description !== undefined) patch.description = description ? String(description) : undefined;
+    const group = await store.updateGroup(req.params.id, patch);
+    recordChange(req, 'group.updated', { subject: req.params.id, details: { fields: Object.keys(patch) } });
+    res.json(group);
+  }));
+
+  router.delete('/groups/:id', handle(async (req, res) => {
+    const group = await requireGroup(req.params.id);
+    await store.deleteGroup(group.id);
+    await revokeMembers(group);
+    recordChange(req, 'group.deleted', { subject: group.id });
+    res.status(204).end();
+  }));
+
+  // Участники группы
+  router.put('/groups/:id/members/:userId', handle(async (req, res) => {
+    const { id, userId } = req.params;
+    await requireGroup(id);
+    await requireUser(userId);
+    if (await store.addGroupMember(id, userId)) {
+      await revocationNotifier.revokeUser(userId);
+      recordChange(req, 'group.member_added', { subject: id, details: { userId } });
+    }
+    res.json(await store.findGroup(id));
+  }));
+
+  router.delete('/groups/:id/members/:userId', handle(async (req, res) => {
+    const { id, userId } = req.params;
+    await requireGroup(id);
+    if (!await store.removeGroupMember(id, userId)) {
+      return res.status(404).json({ error: 'not_found', message: `User ${userId} is not a member of ${id}` });
+    }
+    await revocationNotifier.revokeUser(userId);
+    recordChange(req, 'group.member_removed', { subject: id, details: { userId } });
+    res.status(204).end();
+  }));
+
+  // Роли группы в приложении (замена списка)
+  router.put('/groups/:id/roles/:clientId', handle(async (req, res) => {
+    const { id, clientId } = req.params;
+    const roles = parseRoles(req.body);
+    const group = await requireGroup(id);
+    await assertKnownRoles(await requireApplication(clientId), roles);
+
+    await store.setGroupRoles(id, clientId, roles);
+    await revokeMembers(group);
+    recordChange(req, 'group.roles_assigned', { subject: id, clientId, details: { roles } });
+    res.json({ groupId: id, clientId, roles });
+  }));
+
+  router.delete('/groups/:id/roles/:clientId', handle(async (req, res) => {
+    const { id, clientId } = req.params;
+    const group = await requireGroup(id);
+    if (!group.roles[clientId]) {
+      return res.status(404).json({ error: 'not_found', message: `Group ${id} has no roles in ${clientId}` });
+    }
+    await store.setGroupRoles(id, clientId, []);
+    await revokeMembers(group);
+    recordChange(req, 'group.roles_removed', { subject: id, clientId });
+    res.status(204).end();
+  }));
+
+  // ========== Отзыв токенов ==========
+
+  // Явный отзыв: один токен (jti), сессия (sid) или все токены пользователя (sub)
+  router.post('/revocations', handle(async (req, res) => {
+    const entry = normalizeRevocation(req.body || {});
+    if (!entry) {
+      throw badRequest('Exactly one of jti, sid or sub is required');
+    }
+    const results = await revocationNotifier.push(entry);
+    req.log.info('Management API: token revoked', { ...entry, actor: req.actor });
+    audit.record({
+      event: 'token.revoked',
+      outcome: 'success',
+      actor: req.actor || req.managementClient,
+      subject: entry.sub,
+      ip: req.actorIp,
+      reason: 'admin',
+      details: entry,
+    });
+    res.json({ revoked: entry, deliveries: results });
+  }));
+
+  // ========== Блокировки ==========
+
+  router.get('/lockouts', handle(async (req, res) => {
+    res.json({ items: await loginThrottle.listLockouts() });
+  }));
+
+  // ========== Журнал аудита ==========
+
+  // События области с фильтрами (event - имя или префикс: login, admin.user), новые первыми
+  router.get('/audit', handle(async (req, res) => {
+    const filters = Object.fromEntries(AUDIT_FILTERS
+      .filter(key => typeof req.query[key] === 'string' && req.query[key] !== '')
+      .map(key => [key, req.query[key]]));
+    res.json(await audit.query(filters));
+  }));
+
+  // Ошибки хранилища и валидации -> JSON с HTTP статусом
+  router.use((err, req, res, next) => {
+    const statusByCode = {
+      invalid_request: 400,
+      weak_password: 400,
+      not_found: 404,
+      already_exists: 409,
+    };
+    const status = statusByCode[err.code];
+    // Неудачные попытки изменений тоже попадают в журнал аудита
+    if (req.method !== 'GET') {
+      audit.record({
+        event: 'admin.request',
+        outcome: 'failure',
+        actor: req.actor || req.managementClient,
+        ip: req.actorIp,
+        reason: status ? err.code : 'server_error',
+        details: { method: req.method, path: req.path },
+      });
+    }
+    if (!status) {
+      req.log.error('Management API error', err);
+      return res.status(500).json({ error: 'server_error', message: 'Internal server error' });
+    }
+    res.status(status).json({
+      error: err.code,
+      message: err.message,
+      ...(err.details ? { details: err.details } : {}),
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,88 @@
+// Управление ключами подписи и cookie auth-service
+//
+//   node scripts/keys.js show            - список ключей и их статусы
+//   node scripts/keys.js rotate [--force] - ротация (next -> active, active -> retired, новый next)
+//
+// Файл ключей: KEYS_FILE или keys.file в CONFIG_FILE (по умолчанию data/keys.json).
+// После ротации перезапустите auth-service.
+
+import { readKeySet, writeKeySet, loadOrCreateKeySet, rotateKeySet } from '../services/keys.js';
+import { loadSettings } from '../settings.js';
+
+let settings;
+try {
+  settings = await loadSettings();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const KEYS_FILE = settings.keys.file;
+const KEY_GRACE_PERIOD_MS = settings.keys.gracePeriodMs;
+const KEY_MIN_PUBLISH_MS = settings.keys.minPublishMs;
+
+function describeDates(entry) {
+  return [
+    `created=${entry.created_at}`,
+    entry.published_at ? `published=${entry.published_at}` : null,
+    entry.retired_at ? `retired=${entry.retired_at}` : null,
+  ].filter(Boolean).join(' ');
+}
+
+function printKeys(keySet) {
+  console.log(`Keys file: ${KEYS_FILE}`);
+  console.log('\nSigning keys (JWKS):');
+  keySet.signing.forEach((entry) => {
+    console.log(`  ${entry.status.padEnd(8)} kid=${entry.kid} ${describeDates(entry)}`);
+  });
+  console.log('\nCookie keys:');
+  keySet.cookies.forEach((entry) => {
+    console.log(`  ${entry.status.padEnd(8)} id=${entry.id} ${describeDates(entry)}`);
+  });
+}
+
+async function show() {
+  const keySet = await readKeySet(KEYS_FILE);
+  if (!keySet) {
+    console.log(`Keys file not found: ${KEYS_FILE} (it is created on first auth-service start or rotate)`);
+    return;
+  }
+  printKeys(keySet);
+}
+
+async function rotate(force) {
+  const keySet = await loadOrCreateKeySet(KEYS_FILE, { logger: console });
+  const { keySet: rotated, changes } = rotateKeySet(keySet, {
+    gracePeriodMs: KEY_GRACE_PERIOD_MS,
+    minNextAgeMs: KEY_MIN_PUBLISH_MS,
+    force,
+  });
+  await writeKeySet(KEYS_FILE, rotated);
+
+  for (const [section, change] of Object.entries(changes)) {
+    console.log(`${section}: ${change.promoted ? `promoted ${change.promoted}, ` : ''}published ${change.created}`
+      + `${change.removed.length > 0 ? `, removed ${change.removed.join(', ')}` : ''}`);
+  }
+  console.log('');
+  printKeys(rotated);
+  console.log('\nRestart auth-service to apply the new keys.');
+}
+
+const [command = 'show', ...args] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case 'show':
+      await show();
+      break;
+    case 'rotate':
+      await rotate(args.includes('--force'));
+      break;
+    default:
+      console.error(`Unknown command: ${command}. Usage: node scripts/keys.js [show|rotate [--force]]`);
+      process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
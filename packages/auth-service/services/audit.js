@@ -0,0 +1,204 @@
+// Журнал аудита событий аутентификации и авторизации
+//
+// События пишутся в JSONL-файл (одна JSON-запись на строку, только добавление).
+// Когда файл превышает maxBytes, он переименовывается в <file>.1 (старые - в .2, .3 ...),
+// хранится не больше maxFiles архивных файлов. Журнал общий для всех областей, у записи есть поле realm.
+//
+// Запись:
+//   { id, time, realm, event, outcome, actor, subject, client_id, ip, reason?, details? }
+//   event   - login.success, login.failure, access.denied, token.issued, token.revoked, logout,
+//             consent.granted, consent.denied, consent.revoked,
+//             admin.<действие> (admin.user.created, admin.roles.assigned ...)
+//   outcome - success, failure или denied
+//   actor   - кто выполнил действие (администратор или пользователь), subject - над кем
+// Пароли, токены и секреты в журнал не попадают.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { toLogger } from 'stork-logger';
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+const MAX_QUERY_LIMIT = 500;
+// Ограничение длины строковых полей (логин из формы, user agent и т. п.)
+const MAX_FIELD_LENGTH = 256;
+
+function field(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return String(value).slice(0, MAX_FIELD_LENGTH);
+}
+
+// Момент времени фильтра: ISO-дата или миллисекунды
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Фильтр по событию: точное имя или префикс до точки (login -> login.success, login.failure)
+function matchesEvent(event, filter) {
+  return event === filter || event.startsWith(`${filter}.`);
+}
+
+/**
+ * Журнал аудита
+ * filePath - файл журнала (архивные файлы - <file>.1 ... <file>.<maxFiles>)
+ * maxBytes - размер файла, после которого он ротируется
+ * maxFiles - сколько архивных файлов хранить
+ * logger   - логгер сервиса (ошибки записи журнала)
+ */
+export function createAuditLog({ filePath, maxBytes = 10 * 1024 * 1024, maxFiles = 5, logger: injectedLogger }) {
+  const logger = toLogger(injectedLogger, { name: 'auth-service' });
+  // Записи добавляются последовательно: порядок сохраняется, ротация не пересекается с записью
+  let queue = Promise.resolve();
+  let size = null;
+
+  function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function currentSize() {
+    if (size === null) {
+      size = await fs.stat(filePath).then(stat => stat.size, () => 0);
+    }
+    return size;
+  }
+
+  async function rotate() {
+    await fs.rm(`${filePath}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      await fs.rename(`${filePath}.${index}`, `${filePath}.${index + 1}`).catch(() => {});
+    }
+    if (maxFiles > 0) {
+      await fs.rename(filePath, `${filePath}.1`);
+    } else {
+      await fs.rm(filePath, { force: true });
+    }
+    size = 0;
+  }
+
+  async function append(line) {
+    const bytes = Buffer.byteLength(line);
+    const existing = await currentSize();
+    if (existing > 0 && existing + bytes > maxBytes) {
+      await rotate();
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, line, { mode: 0o600 });
+    size += bytes;
+  }
+
+  /**
+   * Запись события; ошибки записи не прерывают обработку запроса, а выводятся в лог
+   */
+  function record(event) {
+    const entry = {
+      id: crypto.randomUUID(),
+      time: new Date().toISOString(),
+      realm: field(event.realm),
+      event: event.event,
+      outcome: AUDIT_OUTCOMES.includes(event.outcome) ? event.outcome : 'success',
+      actor: field(event.actor),
+      subject: field(event.subject),
+      client_id: field(event.client_id),
+      ip: field(event.ip),
+      ...(event.reason ? { reason: field(event.reason) } : {}),
+      ...(event.details && Object.keys(event.details).length > 0 ? { details: event.details } : {}),
+    };
+    return enqueue(() => append(`${JSON.stringify(entry)}\n`)).then(
+      () => entry,
+      (error) => {
+        logger.error('Audit log write failed', { event: entry.event, message: error.message });
+        return null;
+      }
+    );
+  }
+
+  async function readEntries(file) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Оборванная строка (например, после аварийной остановки) пропускается
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Поиск записей (новые первыми) в текущем и архивных файлах
+   * Фильтры: realm, event, outcome, actor, subject, client_id, ip, from, to (ISO или мс), offset, limit
+   * Возвращает { items, total }
+   */
+  function query(filters = {}) {
+    // Запрос выполняется после уже поставленных в очередь записей
+    return enqueue(async () => {
+      const from = parseTime(filters.from);
+      const to = parseTime(filters.to);
+      const offset = Math.max(0, Number.parseInt(filters.offset, 10) || 0);
+      const limit = Math.min(MAX_QUERY_LIMIT, Math.max(1, Number.parseInt(filters.limit, 10) || 50));
+      const exact = ['realm', 'outcome', 'actor', 'subject', 'client_id', 'ip']
+        .filter(key => filters[key] !== undefined && filters[key] !== '');
+
+      const matches = (entry) => {
+        const time = Date.parse(entry.time);
+        return (!filters.event || matchesEvent(String(entry.event), String(filters.event)))
+          && exact.every(key => entry[key] === String(filters[key]))
+          && (from === null || time >= from)
+          && (to === null || time <= to);
+      };
+
+      // Текущий файл, затем архивные от новых к старым
+      const files = [filePath, ...Array.from({ length: maxFiles }, (_, index) => `${filePath}.${index + 1}`)];
+      const matched = [];
+      for (const file of files) {
+        const entries = await readEntries(file);
+        matched.push(...entries.filter(matches).reverse());
+      }
+
+      return {
+        items: matched.slice(offset, offset + limit),
+        total: matched.length,
+      };
+    });
+  }
+
+  // Дождаться записи событий (перед остановкой сервиса)
+  function flush() {
+    return enqueue(() => {});
+  }
+
+  return {
+    record,
+    query,
+    flush,
+  };
+}
+
+// Журнал области: realm подставляется в записи и в фильтр запросов
+export function createRealmAuditLog(auditLog, realm) {
+  return {
+    record: event => auditLog.record({ ...event, realm }),
+    query: filters => auditLog.query({ ...filters, realm }),
+  };
+}
@@ -0,0 +1,94 @@
+// Согласия пользователей (consent) на доступ сторонних приложений
+//
+// Приложения с first_party: false - сторонние: при первом входе пользователь видит экран согласия
+// со списком запрошенных scope, claims и разрешений API. Решение сохраняется в хранилище
+// (пользователь + приложение), повторный запрос тех же или меньших прав подтверждается без экрана.
+// Собственные приложения (first_party: true) получают согласие автоматически. Новые приложения регистрируются
+// с first_party: false, если флаг не передан явно.
+// Запрос прав: { scopes: [OpenID scope], claims: [claims], resourceScopes: { <resource>: [scopes] } }
+
+// OpenID scope, которые пользователь подтверждает на экране согласия
+export const OIDC_SCOPES = ['openid', 'profile', 'email'];
+
+// Запись без флага first_party создана до появления флага (тогда все приложения были собственными),
+// поэтому считается собственной; новые записи всегда сохраняются с флагом
+export function isFirstParty(application) {
+  return application?.first_party !== false;
+}
+
+function union(...lists) {
+  return [...new Set(lists.flat().filter(Boolean))];
+}
+
+function includesAll(granted = [], requested = []) {
+  return requested.every(item => granted.includes(item));
+}
+
+export function createConsentService(store) {
+  // Покрывает ли сохраненное согласие запрошенные права
+  function covers(consent, { scopes = [], claims = [], resourceScopes = {} }) {
+    if (!consent) {
+      return false;
+    }
+    return includesAll(consent.scopes, scopes)
+      && includesAll(consent.claims, claims)
+      && Object.entries(resourceScopes).every(([resource, list]) => includesAll(consent.resource_scopes?.[resource], list));
+  }
+
+  /**
+   * Сохранение согласия: права объединяются с ранее выданными,
+   * grantId - grant provider, созданный по согласию (отзывается вместе с ним)
+   * Хранятся все grant: иначе при отзыве согласия старые grant и их refresh токены продолжили бы действовать
+   */
+  async function remember(userId, clientId, request, grantId) {
+    const existing = await store.findConsent(userId, clientId);
+    const now = new Date().toISOString();
+    const resourceScopes = { ...existing?.resource_scopes };
+    for (const [resource, list] of Object.entries(request.resourceScopes || {})) {
+      resourceScopes[resource] = union(resourceScopes[resource] || [], list);
+    }
+    return store.saveConsent({
+      user_id: userId,
+      client_id: clientId,
+      scopes: union(existing?.scopes || [], request.scopes || []),
+      claims: union(existing?.claims || [], request.claims || []),
+      resource_scopes: resourceScopes,
+      grant_ids: union(existing?.grant_ids || [], [grantId]),
+      granted_at: existing?.granted_at || now,
+      updated_at: now,
+    });
+  }
+
+  // Grant provider, созданный по уже сохраненному согласию
+  async function addGrant(userId, clientId, grantId) {
+    const existing = await store.findConsent(userId, clientId);
+    if (!existing || existing.grant_ids?.includes(grantId)) {
+      return existing;
+    }
+    return store.saveConsent({
+      ...existing,
+      grant_ids: union(existing.grant_ids || [], [grantId]),
+    });
+  }
+
+  /**
+   * Отзыв согласия; возвращает удаленную запись (с grant_ids для отзыва токенов) или null
+   */
+  async function revoke(userId, clientId) {
+    const existing = await store.findConsent(userId, clientId);
+    if (!existing) {
+      return null;
+    }
+    await store.deleteConsent(userId, clientId);
+    return existing;
+  }
+
+  return {
+    find: (userId, clientId) => store.findConsent(userId, clientId),
+    list: userId => store.listUserConsents(userId),
+    covers,
+    remember,
+    addGrant,
+    revoke,
+  };
+}
@@ -0,0 +1,57 @@
+// Одноразовые коды передачи токена приложению после /client/callback
+//
+// Вместо токена в query параметре приложение получает короткоживущий код,
+// который обменивается на токен через POST /api/token. Код:
+//   - действует ограниченное время (по умолчанию 60 секунд);
+//   - может быть использован только один раз;
+//   - привязан к client_id приложения, для которого выполнялся логин.
+// Коды лежат в хранилище временных записей (store/kv.js) рядом с состоянием PKCE, поэтому
+// код, выпущенный одним экземпляром auth-service, обменивается на любом экземпляре с общим хранилищем.
+
+import crypto from 'crypto';
+
+export function createHandoffStore(kv, options = {}) {
+  const {
+    ttlMs = 60 * 1000,
+  } = options;
+
+  // Ключ - хеш кода (сам код на сервере не хранится), значение - { clientId, token }
+  function keyFor(code) {
+    return `handoff:${crypto.createHash('sha256').update(String(code)).digest('base64url')}`;
+  }
+
+  const ttlSeconds = Math.ceil(ttlMs / 1000);
+
+  // Выпуск кода для приложения
+  async function issue(clientId, token) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await kv.set(keyFor(code), { clientId, token }, ttlSeconds);
+    return code;
+  }
+
+  // Обмен кода на токен
+  // Возвращает { token } или { error }; код удаляется при любой попытке обмена
+  async function redeem(code, clientId) {
+    if (!code) {
+      return { error: 'invalid_request' };
+    }
+
+    const key = keyFor(code);
+    const entry = await kv.get(key);
+    await kv.delete(key);
+
+    if (!entry) {
+      return { error: 'invalid_grant' };
+    }
+    if (entry.clientId !== clientId) {
+      return { error: 'invalid_client' };
+    }
+
+    return { token: entry.token };
+  }
+
+  return {
+    issue,
+    redeem,
+  };
+}
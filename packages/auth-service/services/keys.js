@@ -0,0 +1,233 @@
+// Ключи подписи (JWKS) и ключи cookie provider с ротацией
+//
+// Ключи хранятся в JSON-файле (KEYS_FILE) со статусами:
+//   active  - ключ, которым provider подписывает токены (cookie)
+//   next    - следующий ключ: уже опубликован в /jwks, но еще не используется для подписи,
+//             чтобы API успели обновить кеш JWKS до начала подписи им
+//   retired - выведенный ключ: остается в /jwks для проверки ранее выданных токенов
+//             и удаляется после grace period
+//
+// Ротация (npm run keys:rotate): next становится active, active - retired, создается новый next,
+// retired ключи старше grace period удаляются. Provider читает файл при старте, поэтому
+// после ротации auth-service нужно перезапустить. При старте auth-service отмечает next ключи
+// как опубликованные (published_at): повысить next до active можно только через minNextAgeMs после этого.
+//
+// Формат файла:
+//   { signing: [{ kid, status, created_at, published_at?, retired_at?, jwk }],
+//     cookies: [{ id, status, created_at, published_at?, retired_at?, key }] }
+
+import crypto from 'crypto';
+import { toLogger } from 'stork-logger';
+import { readDataFile, writeDataFile } from '../store/file.js';
+
+export const KEY_STATUSES = ['active', 'next', 'retired'];
+
+// Алгоритм подписи токенов (по умолчанию для ID токенов oidc-provider)
+const SIGNING_ALG = 'RS256';
+
+// kid - JWK thumbprint (RFC 7638) публичного ключа
+function thumbprint(jwk) {
+  const { e, kty, n } = jwk;
+  return crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+}
+
+export function generateSigningKey(now = Date.now()) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = privateKey.export({ format: 'jwk' });
+  const kid = thumbprint(jwk);
+  return {
+    kid,
+    status: 'next',
+    created_at: new Date(now).toISOString(),
+    jwk: { ...jwk, kid, alg: SIGNING_ALG, use: 'sig' },
+  };
+}
+
+export function generateCookieKey(now = Date.now()) {
+  return {
+    id: crypto.randomBytes(6).toString('base64url'),
+    status: 'next',
+    created_at: new Date(now).toISOString(),
+    key: crypto.randomBytes(32).toString('base64url'),
+  };
+}
+
+// Начальный набор: active и опубликованный заранее next
+export function createKeySet(now = Date.now()) {
+  return {
+    signing: [
+      { ...generateSigningKey(now), status: 'active' },
+      generateSigningKey(now),
+    ],
+    cookies: [
+      { ...generateCookieKey(now), status: 'active' },
+      generateCookieKey(now),
+    ],
+  };
+}
+
+function keyError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_keys';
+  return error;
+}
+
+function validateEntries(entries, section) {
+  if (!Array.isArray(entries)) {
+    throw keyError(`Keys file: ${section} must be an array`);
+  }
+  for (const entry of entries) {
+    if (!KEY_STATUSES.includes(entry.status)) {
+      throw keyError(`Keys file: unknown status ${entry.status} in ${section}`);
+    }
+  }
+  if (entries.filter(entry => entry.status === 'active').length !== 1) {
+    throw keyError(`Keys file: ${section} must contain exactly one active key`);
+  }
+}
+
+export function validateKeySet(keySet) {
+  validateEntries(keySet?.signing, 'signing');
+  validateEntries(keySet?.cookies, 'cookies');
+  for (const entry of keySet.signing) {
+    if (!entry.jwk?.d || entry.jwk.kid !== entry.kid) {
+      throw keyError(`Keys file: signing key ${entry.kid} must be a private JWK with matching kid`);
+    }
+  }
+  for (const entry of keySet.cookies) {
+    if (typeof entry.key !== 'string' || entry.key.length < 32) {
+      throw keyError(`Keys file: cookie key ${entry.id} is too short`);
+    }
+  }
+  return keySet;
+}
+
+// Порядок для provider: active (им подписывается), next, retired от новых к старым
+function orderForProvider(entries) {
+  const rank = { active: 0, next: 1, retired: 2 };
+  return [...entries].sort((a, b) => rank[a.status] - rank[b.status]
+    || String(b.retired_at || '').localeCompare(String(a.retired_at || '')));
+}
+
+// Ключи в формате конфигурации oidc-provider: jwks и cookies.keys
+export function toProviderKeys(keySet) {
+  return {
+    jwks: { keys: orderForProvider(keySet.signing).map(entry => entry.jwk) },
+    cookieKeys: orderForProvider(keySet.cookies).map(entry => entry.key),
+  };
+}
+
+// Ротация одного раздела (signing или cookies)
+// Возвращает { entries, promoted, created, removed }
+function rotateEntries(entries, generate, { now, gracePeriodMs, minNextAgeMs, force }) {
+  const result = { promoted: null, created: null, removed: [] };
+  const idOf = entry => entry.kid || entry.id;
+
+  // Удаление retired ключей после grace period
+  let rotated = entries.filter((entry) => {
+    const expired = entry.status === 'retired' && Date.parse(entry.retired_at) + gracePeriodMs <= now;
+    if (expired) {
+      result.removed.push(idOf(entry));
+    }
+    return !expired;
+  });
+
+  const next = rotated.find(entry => entry.status === 'next');
+  if (next) {
+    if (!next.published_at && !force) {
+      throw keyError(`Next key ${idOf(next)} is not published yet: start auth-service with it first or use --force`);
+    }
+    const publishedFor = now - Date.parse(next.published_at);
+    if (publishedFor < minNextAgeMs && !force) {
+      throw keyError(`Next key ${idOf(next)} was published ${Math.round(publishedFor / 1000)}s ago, `
+        + `wait ${Math.ceil((minNextAgeMs - publishedFor) / 1000)}s for JWKS caches to refresh or use --force`);
+    }
+    rotated = rotated.map((entry) => {
+      if (entry.status === 'active') {
+        return { ...entry, status: 'retired', retired_at: new Date(now).toISOString() };
+      }
+      if (entry === next) {
+        return { ...entry, status: 'active' };
+      }
+      return entry;
+    });
+    result.promoted = idOf(next);
+  }
+
+  // Новый next публикуется при следующем старте auth-service, подписывать им начнут после следующей ротации
+  const created = generate(now);
+  rotated.push(created);
+  result.created = idOf(created);
+
+  return { entries: rotated, ...result };
+}
+
+/**
+ * Ротация ключей подписи и cookie
+ * gracePeriodMs - сколько retired ключ остается опубликованным (не меньше срока жизни токенов и сессий)
+ * minNextAgeMs  - сколько next ключ должен быть опубликован перед тем, как им начнут подписывать
+ */
+export function rotateKeySet(keySet, options = {}) {
+  const {
+    now = Date.now(),
+    gracePeriodMs = 14 * 24 * 60 * 60 * 1000,
+    minNextAgeMs = 10 * 60 * 1000,
+    force = false,
+  } = options;
+  const rotateOptions = { now, gracePeriodMs, minNextAgeMs, force };
+
+  const signing = rotateEntries(keySet.signing, generateSigningKey, rotateOptions);
+  const cookies = rotateEntries(keySet.cookies, generateCookieKey, rotateOptions);
+
+  return {
+    keySet: validateKeySet({ ...keySet, signing: signing.entries, cookies: cookies.entries }),
+    changes: {
+      signing: { promoted: signing.promoted, created: signing.created, removed: signing.removed },
+      cookies: { promoted: cookies.promoted, created: cookies.created, removed: cookies.removed },
+    },
+  };
+}
+
+export async function readKeySet(filePath) {
+  const keySet = await readDataFile(filePath);
+  return keySet ? validateKeySet(keySet) : null;
+}
+
+export async function writeKeySet(filePath, keySet) {
+  await writeDataFile(filePath, validateKeySet(keySet), { mode: 0o600 });
+}
+
+// Отметка о публикации next ключей (provider загрузил их в /jwks)
+function markPublished(keySet, now) {
+  let changed = false;
+  const mark = entries => entries.map((entry) => {
+    if (entry.status === 'next' && !entry.published_at) {
+      changed = true;
+      return { ...entry, published_at: new Date(now).toISOString() };
+    }
+    return entry;
+  });
+  const marked = { ...keySet, signing: mark(keySet.signing), cookies: mark(keySet.cookies) };
+  return { keySet: marked, changed };
+}
+
+// Загрузка ключей: если файла нет, он создается с новым набором ключей
+// publish: true - ключи загружает provider (при старте auth-service), next ключи отмечаются опубликованными
+export async function loadOrCreateKeySet(filePath, { publish = false, logger } = {}) {
+  let keySet = await readKeySet(filePath);
+  let changed = false;
+  if (!keySet) {
+    keySet = createKeySet();
+    changed = true;
+    toLogger(logger, { name: 'auth-service' }).info('Keys file created', { filePath });
+  }
+  if (publish) {
+    const marked = markPublished(keySet, Date.now());
+    keySet = marked.keySet;
+    changed = changed || marked.changed;
+  }
+  if (changed) {
+    await writeKeySet(filePath, keySet);
+  }
+  return keySet;
+}
@@ -0,0 +1,319 @@
+// Защита от перебора паролей: учет неудачных попыток по аккаунту и по IP,
+// экспоненциально растущая временная блокировка
+
+import { toLogger } from 'stork-logger';
+
+// Запись блокирует вход (счетчик превысил лимит и блокировка не истекла)
+function isLockoutRecord(value, now = Date.now()) {
+  return !!value?.lockedUntil && value.lockedUntil > now;
+}
+
+function positiveInteger(value, message) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(message);
+  }
+}
+
+// In-memory хранилище счетчиков (LRU с ограниченным размером)
+// Интерфейс хранилища: get(key), set(key, value, ttlMs), delete(key), list(prefix)
+// list возвращает только действующие блокировки (для администратора)
+// Для нескольких экземпляров auth-service можно подключить общее хранилище с тем же интерфейсом
+// Счетчик заводится для любого введенного логина (в том числе несуществующего), поэтому при превышении
+// maxEntries вытесняются самые давно обновленные счетчики: перебор случайных логинов не увеличивает память.
+// Блокировки хранятся отдельно со своим лимитом maxLockouts, поэтому такой перебор не снимает блокировку аккаунта
+export function createMemoryAttemptStore(options = {}) {
+  const { maxEntries = 10000, maxLockouts = 10000 } = options;
+
+  positiveInteger(maxEntries, 'createMemoryAttemptStore: maxEntries must be a positive integer');
+  positiveInteger(maxLockouts, 'createMemoryAttemptStore: maxLockouts must be a positive integer');
+
+  // Map сохраняет порядок вставки: первый ключ - самый давно обновленный
+  const counters = new Map();
+  const lockouts = new Map();
+
+  function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt <= now;
+  }
+
+  function put(entries, limit, key, entry) {
+    entries.set(key, entry);
+    while (entries.size > limit) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  async function get(key) {
+    const entry = lockouts.get(key) || counters.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry)) {
+      lockouts.delete(key);
+      counters.delete(key);
+      return null;
+    }
+    return structuredClone(entry.value);
+  }
+
+  async function set(key, value, ttlMs) {
+    const entry = {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttlMs,
+    };
+    lockouts.delete(key);
+    counters.delete(key);
+    if (isLockoutRecord(value)) {
+      put(lockouts, maxLockouts, key, entry);
+    } else {
+      put(counters, maxEntries, key, entry);
+    }
+  }
+
+  async function del(key) {
+    lockouts.delete(key);
+    counters.delete(key);
+  }
+
+  async function list(prefix = '') {
+    const now = Date.now();
+    const result = [];
+    for (const [key, entry] of lockouts) {
+      if (isExpired(entry, now)) {
+        lockouts.delete(key);
+        continue;
+      }
+      if (key.startsWith(prefix) && isLockoutRecord(entry.value, now)) {
+        result.push({ key, value: structuredClone(entry.value) });
+      }
+    }
+    return result;
+  }
+
+  return {
+    get,
+    set,
+    delete: del,
+    list,
+  };
+}
+
+// Хранилище счетчиков поверх хранилища временных записей области (store/kv.js), общего с состоянием PKCE
+// Каждый счетчик - отдельная запись throttle:<key> с TTL (округляется вверх до секунд, интерфейс kv),
+// поэтому неудачная попытка меняет только свою запись, а записи удаляются хранилищем по истечении TTL.
+// В kv нет перечисления ключей: для list() ведется индекс только блокировок throttle:lockouts
+// { key: lockedUntil }, который меняется при блокировке и разблокировке, а не при каждой попытке.
+// Индекс ограничен maxLockouts и нужен только для списка администратора: вытеснение из индекса
+// не снимает блокировку, она действует по записи счетчика
+export function createKeyValueAttemptStore(kv, options = {}) {
+  const { maxLockouts = 10000 } = options;
+
+  positiveInteger(maxLockouts, 'createKeyValueAttemptStore: maxLockouts must be a positive integer');
+
+  const LOCKOUTS_KEY = 'throttle:lockouts';
+
+  function keyFor(key) {
+    return `throttle:${key}`;
+  }
+
+  // Очередь изменений индекса блокировок в пределах процесса
+  let indexQueue = Promise.resolve();
+
+  function updateLockouts(fn) {
+    const result = indexQueue.then(async () => {
+      const now = Date.now();
+      const index = {};
+      for (const [key, lockedUntil] of Object.entries((await kv.get(LOCKOUTS_KEY)) || {})) {
+        if (lockedUntil > now) {
+          index[key] = lockedUntil;
+        }
+      }
+      if (fn(index) === false) {
+        return;
+      }
+
+      const keys = Object.keys(index);
+      for (const evicted of keys.slice(0, Math.max(0, keys.length - maxLockouts))) {
+        delete index[evicted];
+      }
+      const lockedUntil = Math.max(0, ...Object.values(index));
+      if (lockedUntil > now) {
+        await kv.set(LOCKOUTS_KEY, index, Math.ceil((lockedUntil - now) / 1000));
+      } else {
+        await kv.delete(LOCKOUTS_KEY);
+      }
+    });
+    indexQueue = result.catch(() => {});
+    return result;
+  }
+
+  async function get(key) {
+    return (await kv.get(keyFor(key))) ?? null;
+  }
+
+  async function set(key, value, ttlMs) {
+    await kv.set(keyFor(key), value, Math.max(1, Math.ceil(ttlMs / 1000)));
+    if (isLockoutRecord(value)) {
+      await updateLockouts((index) => {
+        delete index[key];
+        index[key] = value.lockedUntil;
+      });
+    }
+  }
+
+  async function del(key) {
+    await kv.delete(keyFor(key));
+    await updateLockouts((index) => {
+      if (!(key in index)) {
+        return false;
+      }
+      delete index[key];
+    });
+  }
+
+  async function list(prefix = '') {
+    const index = (await kv.get(LOCKOUTS_KEY)) || {};
+    const result = [];
+    for (const key of Object.keys(index).filter(item => item.startsWith(prefix))) {
+      const value = await get(key);
+      if (isLockoutRecord(value)) {
+        result.push({ key, value });
+      }
+    }
+    return result;
+  }
+
+  return {
+    get,
+    set,
+    delete: del,
+    list,
+  };
+}
+
+const ACCOUNT_PREFIX = 'account:';
+const IP_PREFIX = 'ip:';
+
+export function createLoginThrottle(options = {}) {
+  const {
+    store = createMemoryAttemptStore(),
+    maxAccountAttempts = 5, // Неудачных попыток на аккаунт до блокировки
+    maxIpAttempts = 20, // Неудачных попыток с одного IP до блокировки
+    baseLockoutMs = 60 * 1000, // Первая блокировка - 1 минута, далее удваивается
+    maxLockoutMs = 60 * 60 * 1000, // Максимальная блокировка - 1 час
+    attemptWindowMs = 15 * 60 * 1000, // Счетчик сбрасывается после 15 минут без неудачных попыток
+  } = options;
+  const logger = toLogger(options.logger, { name: 'auth-service' });
+
+  // Длительность блокировки растет экспоненциально с каждой попыткой сверх лимита
+  function lockoutDuration(failures, maxAttempts) {
+    const exponent = Math.max(0, failures - maxAttempts);
+    return Math.min(baseLockoutMs * 2 ** exponent, maxLockoutMs);
+  }
+
+  async function registerFailure(key, maxAttempts, now) {
+    const record = (await store.get(key)) || { failures: 0, lockedUntil: null };
+    record.failures += 1;
+    record.lastFailureAt = now;
+
+    if (record.failures >= maxAttempts) {
+      record.lockedUntil = now + lockoutDuration(record.failures, maxAttempts);
+    }
+
+    const ttl = Math.max(record.lockedUntil || 0, now) - now + attemptWindowMs;
+    await store.set(key, record, ttl);
+    return record;
+  }
+
+  function toState(record, now = Date.now()) {
+    const locked = !!record?.lockedUntil && record.lockedUntil > now;
+    return {
+      failures: record?.failures || 0,
+      locked,
+      lockedUntil: locked ? new Date(record.lockedUntil).toISOString() : null,
+      retryAfterSeconds: locked ? Math.ceil((record.lockedUntil - now) / 1000) : 0,
+    };
+  }
+
+  // Проверка перед проверкой пароля
+  // Возвращает { allowed: true } или { allowed: false, scope: 'account' | 'ip', retryAfterSeconds }
+  async function check(login, ip) {
+    const now = Date.now();
+    const checks = [
+      { scope: 'account', key: login ? ACCOUNT_PREFIX + login : null },
+      { scope: 'ip', key: ip ? IP_PREFIX + ip : null },
+    ];
+
+    for (const { scope, key } of checks) {
+      if (!key) {
+        continue;
+      }
+      const state = toState(await store.get(key), now);
+      if (state.locked) {
+        return { allowed: false, scope, retryAfterSeconds: state.retryAfterSeconds };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Регистрация неудачной попытки (неверный логин или пароль)
+  async function recordFailure(login, ip) {
+    const now = Date.now();
+    const account = login ? await registerFailure(ACCOUNT_PREFIX + login, maxAccountAttempts, now) : null;
+    const address = ip ? await registerFailure(IP_PREFIX + ip, maxIpAttempts, now) : null;
+
+    const accountState = toState(account, now);
+    const ipState = toState(address, now);
+    if (accountState.locked || ipState.locked) {
+      logger.warn('Login throttle: lockout applied', {
+        login,
+        ip,
+        accountLockedUntil: accountState.lockedUntil,
+        ipLockedUntil: ipState.lockedUntil,
+      });
+    }
+
+    return { account: accountState, ip: ipState };
+  }
+
+  // Успешный логин сбрасывает счетчик аккаунта
+  async function recordSuccess(login) {
+    if (login) {
+      await store.delete(ACCOUNT_PREFIX + login);
+    }
+  }
+
+  // ========== Для администратора ==========
+
+  // Состояние блокировки аккаунта
+  async function getAccountState(login) {
+    return toState(await store.get(ACCOUNT_PREFIX + login));
+  }
+
+  // Список заблокированных аккаунтов и IP
+  async function listLockouts() {
+    const now = Date.now();
+    const entries = [
+      ...(await store.list(ACCOUNT_PREFIX)).map(e => ({ ...e, scope: 'account', id: e.key.slice(ACCOUNT_PREFIX.length) })),
+      ...(await store.list(IP_PREFIX)).map(e => ({ ...e, scope: 'ip', id: e.key.slice(IP_PREFIX.length) })),
+    ];
+
+    return entries
+      .map(({ scope, id, value }) => ({ scope, id, ...toState(value, now) }))
+      .filter(state => state.locked);
+  }
+
+  // Ручная разблокировка аккаунта
+  async function unlockAccount(login) {
+    await store.delete(ACCOUNT_PREFIX + login);
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess,
+    getAccountState,
+    listLockouts,
+    unlockAccount,
+  };
+}
@@ -0,0 +1,97 @@
+// Метрики auth-service для Prometheus (GET /metrics в корне сервиса)
+//
+//   auth_logins_total{realm,client_id,outcome,reason}            - входы: success, failure (invalid_credentials,
+//                                                                   invalid_mfa_code, locked), denied (no_role)
+//   auth_interaction_expired_total{realm}                         - страница логина открыта после истечения interaction
+//   auth_tokens_issued_total{realm,client_id,grant_type,outcome}  - выдача токенов на token endpoint
+//   auth_callback_errors_total{realm,client_id,reason}            - ошибки client flow в /client/callback
+//
+// Реестр общий для всех областей, у рядов есть метка realm. Значения меток - имена областей,
+// client_id приложений и коды причин, а не логины или токены.
+
+import { createMetricsRegistry } from 'stork-metrics';
+
+// Коды ошибок OAuth, которые provider возвращает в callback; остальные считаются как provider_error
+const OAUTH_ERRORS = new Set([
+  'access_denied',
+  'consent_required',
+  'interaction_required',
+  'invalid_client',
+  'invalid_grant',
+  'invalid_request',
+  'invalid_scope',
+  'invalid_target',
+  'login_required',
+  'server_error',
+  'temporarily_unavailable',
+  'unauthorized_client',
+]);
+
+// grant_type приходит от клиента: неизвестные значения считаются как other
+const GRANT_TYPES = new Set([
+  'authorization_code',
+  'refresh_token',
+  'client_credentials',
+  'urn:ietf:params:oauth:grant-type:device_code',
+  'urn:openid:params:grant-type:ciba',
+]);
+
+export function createAuthMetrics(registry = createMetricsRegistry()) {
+  const logins = registry.counter({
+    name: 'auth_logins_total',
+    help: 'Login attempts by client and outcome',
+    labelNames: ['realm', 'client_id', 'outcome', 'reason'],
+  });
+  const interactionsExpired = registry.counter({
+    name: 'auth_interaction_expired_total',
+    help: 'Login interactions that were not found or expired',
+    labelNames: ['realm'],
+  });
+  const tokensIssued = registry.counter({
+    name: 'auth_tokens_issued_total',
+    help: 'Token endpoint grants by client, grant type and outcome',
+    labelNames: ['realm', 'client_id', 'grant_type', 'outcome'],
+  });
+  const callbackErrors = registry.counter({
+    name: 'auth_callback_errors_total',
+    help: 'OIDC client callback errors by reason',
+    labelNames: ['realm', 'client_id', 'reason'],
+  });
+
+  return {
+    registry,
+    recordLogin: ({ realm, clientId, outcome, reason }) => logins.inc({ realm, client_id: clientId, outcome, reason }),
+    recordInteractionExpired: ({ realm }) => interactionsExpired.inc({ realm }),
+    recordTokenIssued: ({ realm, clientId, grantType, outcome }) => tokensIssued.inc({
+      realm,
+      client_id: clientId,
+      grant_type: GRANT_TYPES.has(grantType) ? grantType : 'other',
+      outcome,
+    }),
+    recordCallbackError: ({ realm, clientId, reason }) => callbackErrors.inc({ realm, client_id: clientId, reason }),
+  };
+}
+
+// Причина ошибки callback для метки: код OAuth от provider или provider_error
+export function callbackErrorReason(error) {
+  return OAUTH_ERRORS.has(error) ? error : 'provider_error';
+}
+
+// Причина исключения при обмене кода на токены: ошибка token endpoint (OPError), ошибка проверки
+// ответа provider (RPError: nonce, state, подпись ID токена) или внутренняя ошибка
+export function callbackExceptionReason(error) {
+  if (error?.name === 'OPError') {
+    return callbackErrorReason(error.error);
+  }
+  return error?.name === 'RPError' ? 'token_validation_failed' : 'internal_error';
+}
+
+// Метрики области: realm подставляется в метки
+export function createRealmMetrics(metrics, realm) {
+  return {
+    recordLogin: event => metrics.recordLogin({ ...event, realm }),
+    recordInteractionExpired: () => metrics.recordInteractionExpired({ realm }),
+    recordTokenIssued: event => metrics.recordTokenIssued({ ...event, realm }),
+    recordCallbackError: event => metrics.recordCallbackError({ ...event, realm }),
+  };
+}
@@ -0,0 +1,113 @@
+// Второй фактор (TOTP) для пользователей: обязательность, подключение, проверка
+//
+// Данные второго фактора хранятся в записи пользователя:
+//   totp: { enabled, secret, recoveryCodes: [sha256], lastUsedStep, enrolledAt }
+
+import { toLogger } from 'stork-logger';
+
+// Значения acr (уровень аутентификации), которые попадают в ID токен
+export const ACR_PASSWORD = 'urn:demo:acr:pwd';
+export const ACR_MFA = 'urn:demo:acr:mfa';
+
+// Значения amr (методы аутентификации, RFC 8176)
+export const AMR_PASSWORD = ['pwd'];
+export const AMR_TOTP = ['pwd', 'otp', 'mfa'];
+export const AMR_RECOVERY_CODE = ['pwd', 'mfa'];
+
+export function acrForAmr(amr = []) {
+  return amr.includes('mfa') ? ACR_MFA : ACR_PASSWORD;
+}
+
+export function createMfaService(store, totp, options = {}) {
+  const logger = toLogger(options.logger, { name: 'auth-service' });
+
+  function isEnrolled(user) {
+    return !!user?.totp?.enabled;
+  }
+
+  // Второй фактор нужен, если он подключен у пользователя
+  // или если приложение требует его для одной из ролей пользователя (mfa_required_roles)
+  // roles - роли пользователя в приложении вместе с унаследованными
+  function isRequired(user, application, roles = []) {
+    if (isEnrolled(user)) {
+      return true;
+    }
+    const required = application?.mfa_required_roles || [];
+    return roles.some(role => required.includes(role));
+  }
+
+  // Подключение TOTP: пользователь подтверждает секрет кодом из приложения-аутентификатора
+  // Возвращает recovery codes для однократного показа или null, если код неверный
+  async function enroll(userId, secret, code) {
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await store.updateUser(userId, {
+      totp: {
+        enabled: true,
+        secret,
+        recoveryCodes: hashes,
+        lastUsedStep: step,
+        enrolledAt: new Date().toISOString(),
+      },
+    });
+
+    return codes;
+  }
+
+  // Проверка второго фактора: TOTP-кода или recovery code
+  // Возвращает amr при успехе или null
+  async function verify(userId, { code, recoveryCode }) {
+    const user = await store.findUserById(userId);
+    if (!isEnrolled(user)) {
+      return null;
+    }
+
+    if (code) {
+      const step = totp.verifyCode(user.totp.secret, code, user.totp.lastUsedStep ?? null);
+      if (step === null) {
+        return null;
+      }
+      await store.updateUser(userId, { totp: { ...user.totp, lastUsedStep: step } });
+      return AMR_TOTP;
+    }
+
+    if (recoveryCode) {
+      const remaining = totp.consumeRecoveryCode(user.totp.recoveryCodes, recoveryCode);
+      if (!remaining) {
+        return null;
+      }
+      await store.updateUser(userId, { totp: { ...user.totp, recoveryCodes: remaining } });
+      logger.info('Recovery code used', { userId, remaining: remaining.length });
+      return AMR_RECOVERY_CODE;
+    }
+
+    return null;
+  }
+
+  // Отключение второго фактора (например, администратором при потере устройства)
+  async function disable(userId) {
+    await store.updateUser(userId, { totp: undefined });
+  }
+
+  // Состояние второго фактора без секретов
+  function getStatus(user) {
+    return {
+      enabled: isEnrolled(user),
+      enrolledAt: user?.totp?.enrolledAt || null,
+      recoveryCodesLeft: user?.totp?.recoveryCodes?.length || 0,
+    };
+  }
+
+  return {
+    isEnrolled,
+    isRequired,
+    enroll,
+    verify,
+    disable,
+    getStatus,
+  };
+}
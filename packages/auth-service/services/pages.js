@@ -0,0 +1,262 @@
+// Страницы auth-service: логин, второй фактор, ошибки, подтверждение выхода
+//
+// Шаблоны - файлы views/<page>.html, общая разметка - views/layout.html (содержимое страницы
+// подставляется в {{{content}}}). Тексты - views/locales/<locale>.json, язык выбирается по ui_locales
+// запроса авторизации, затем по Accept-Language, иначе - язык по умолчанию.
+// Каталог viewsDir (настройка ui.viewsDir) дополняет встроенные шаблоны: файлы из него заменяют
+// одноименные встроенные, тексты locales/<locale>.json объединяются со встроенными.
+//
+// Синтаксис шаблонов:
+//   {{name}}, {{branding.primaryColor}} - значение с экранированием HTML
+//   {{{content}}}                       - значение без экранирования (только разметка, собранная сервисом)
+//   {{t.login.title}}                   - текст на языке страницы, {name} в тексте заменяется значением name
+//   {{#error}}...{{/error}}             - блок, если значение непустое (для массива - по разу на элемент, {{.}});
+//                                         вложенные блоки должны быть с разными именами
+//   {{^error}}...{{/error}}             - блок, если значение пустое
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toLogger } from 'stork-logger';
+
+const BUILTIN_VIEWS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'views');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+};
+
+// Экранирование значения для текста и атрибутов HTML
+export function escapeHtml(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+function lookup(context, key) {
+  if (key === '.') {
+    return context['.'];
+  }
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), context);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === false || value === '' || value === 0
+    || (Array.isArray(value) && value.length === 0);
+}
+
+// {name} в тексте - значение из данных страницы
+function formatMessage(message, context) {
+  return message.replace(/\{([\w.]+)\}/g, (match, key) => {
+    const value = lookup(context, key);
+    return value === undefined || value === null ? match : String(value);
+  });
+}
+
+// Один проход по шаблону: подставленные значения повторно не разбираются
+const TAG = /\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+function renderTemplate(template, context, messages) {
+  const resolve = (key) => {
+    if (key.startsWith('t.')) {
+      const message = lookup(messages, key.slice(2));
+      return typeof message === 'string' ? formatMessage(message, context) : key;
+    }
+    return lookup(context, key);
+  };
+
+  return template.replace(TAG, (match, kind, sectionKey, body, rawKey, key) => {
+    if (rawKey) {
+      const value = resolve(rawKey);
+      return value === undefined || value === null ? '' : String(value);
+    }
+    if (key) {
+      return escapeHtml(resolve(key));
+    }
+    const value = resolve(sectionKey);
+    if (kind === '^') {
+      return isEmpty(value) ? renderTemplate(body, context, messages) : '';
+    }
+    if (isEmpty(value)) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      // Поля элемента-объекта доступны в блоке по имени, сам элемент - как {{.}}
+      return value.map(item => renderTemplate(body, {
+        ...context,
+        ...(item && typeof item === 'object' ? item : {}),
+        '.': item,
+      }, messages)).join('');
+    }
+    return renderTemplate(body, context, messages);
+  });
+}
+
+function mergeMessages(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = value && typeof value === 'object' && !Array.isArray(value) && typeof base[key] === 'object'
+      ? mergeMessages(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+async function readDir(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Шаблоны (имя страницы -> текст) и тексты (язык -> сообщения) из каталога
+async function loadViews(dir) {
+  const templates = {};
+  for (const file of (await readDir(dir)).filter(file => file.endsWith('.html'))) {
+    templates[path.basename(file, '.html')] = await fs.readFile(path.join(dir, file), 'utf8');
+  }
+
+  const locales = {};
+  const localesDir = path.join(dir, 'locales');
+  for (const file of (await readDir(localesDir)).filter(file => file.endsWith('.json'))) {
+    const filePath = path.join(localesDir, file);
+    try {
+      locales[path.basename(file, '.json').toLowerCase()] = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid locale file ${filePath}: ${error.message}`);
+    }
+  }
+  return { templates, locales };
+}
+
+// Языковые теги по убыванию предпочтения: "ru-RU,ru;q=0.9,en;q=0.8" -> ['ru-ru', 'ru', 'en']
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') {
+    return [];
+  }
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter(item => item.tag && item.tag !== '*' && item.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(item => item.tag);
+}
+
+/**
+ * Страницы сервиса (общие для всех областей)
+ * viewsDir      - каталог со своими шаблонами и текстами (дополняет встроенные views/)
+ * defaultLocale - язык, если ни ui_locales, ни Accept-Language не подошли
+ * logger        - логгер сервиса
+ */
+export async function createPageRenderer({ viewsDir, defaultLocale = 'en', logger: injectedLogger } = {}) {
+  const logger = toLogger(injectedLogger, { name: 'auth-service' });
+
+  const builtin = await loadViews(BUILTIN_VIEWS_DIR);
+  const custom = viewsDir ? await loadViews(viewsDir) : { templates: {}, locales: {} };
+  if (viewsDir && Object.keys(custom.templates).length === 0 && Object.keys(custom.locales).length === 0) {
+    logger.warn('Views directory has no templates or locales, using built-in pages', { viewsDir });
+  }
+
+  const templates = { ...builtin.templates, ...custom.templates };
+  const messages = { ...builtin.locales };
+  for (const [locale, override] of Object.entries(custom.locales)) {
+    messages[locale] = mergeMessages(messages[locale] || {}, override);
+  }
+  const locales = Object.keys(messages);
+
+  if (!messages[defaultLocale]) {
+    throw new Error(`Unknown default locale ${defaultLocale}, expected one of ${locales.join(', ')}`);
+  }
+
+  // Поддерживаемый язык для тега: точное совпадение (pt-br) или основной язык (ru-RU -> ru)
+  function matchLocale(tag) {
+    const normalized = tag.toLowerCase();
+    if (messages[normalized]) {
+      return normalized;
+    }
+    const primary = normalized.split('-')[0];
+    return messages[primary] ? primary : null;
+  }
+
+  /**
+   * Язык страницы
+   * uiLocales      - параметр ui_locales запроса авторизации (теги через пробел, по убыванию предпочтения)
+   * acceptLanguage - заголовок Accept-Language
+   */
+  function selectLocale({ uiLocales, acceptLanguage } = {}) {
+    const requested = [
+      ...(typeof uiLocales === 'string' ? uiLocales.split(' ').filter(Boolean) : []),
+      ...parseAcceptLanguage(acceptLanguage),
+    ];
+    for (const tag of requested) {
+      const locale = matchLocale(tag);
+      if (locale) {
+        return locale;
+      }
+    }
+    return defaultLocale;
+  }
+
+  // Текст на языке locale ({name} заменяется значениями data); неизвестный ключ возвращается как есть
+  function translate(locale, key, data = {}) {
+    const message = lookup(messages[locale] || messages[defaultLocale], key);
+    return typeof message === 'string' ? formatMessage(message, data) : key;
+  }
+
+  /**
+   * Страница целиком: шаблон страницы внутри layout
+   * data - значения для шаблона; locale и branding (см. resolveBranding) доступны в шаблонах
+   */
+  function render(page, { locale = defaultLocale, branding = {}, ...data } = {}) {
+    const template = templates[page];
+    if (template === undefined) {
+      throw new Error(`Unknown page template ${page}`);
+    }
+    const pageMessages = messages[locale] || messages[defaultLocale];
+    const context = { ...data, locale, branding };
+    const content = renderTemplate(template, context, pageMessages);
+    // Заголовок страницы - текст <page>.title (страница может передать свой title)
+    const titleMessage = lookup(pageMessages, `${toMessageKey(page)}.title`);
+    const title = data.title ?? (typeof titleMessage === 'string' ? formatMessage(titleMessage, context) : '');
+    return renderTemplate(templates.layout ?? '{{{content}}}', { ...context, title, content }, pageMessages);
+  }
+
+  return {
+    locales,
+    defaultLocale,
+    selectLocale,
+    translate,
+    render,
+  };
+}
+
+// Ключ текстов страницы: mfa-verify -> mfaVerify
+function toMessageKey(page) {
+  return page.replace(/-(\w)/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Оформление страницы: оформление области, дополненное настройками приложения
+ * branding    - { displayName, primaryColor, logoUri } области
+ * application - приложение из хранилища (name, logo_uri, primary_color) или null
+ */
+export function resolveBranding(branding, application) {
+  return {
+    displayName: branding.displayName || null,
+    primaryColor: application?.primary_color || branding.primaryColor,
+    logoUri: application?.logo_uri || branding.logoUri || null,
+    applicationName: application?.name || null,
+  };
+}
@@ -0,0 +1,140 @@
+// Хеширование паролей (scrypt) и политика паролей
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Параметры scrypt по умолчанию
+// При изменении параметров старые хеши остаются валидными и пересчитываются при следующем логине
+export const DEFAULT_HASH_PARAMS = {
+  N: 16384,
+  r: 8,
+  p: 1,
+  keyLength: 64,
+  saltLength: 16,
+};
+
+// Пароли, которые запрещено использовать независимо от длины
+export const DEFAULT_BANNED_PASSWORDS = [
+  'password',
+  'password1',
+  '12345678',
+  '123456789',
+  'qwertyui',
+  'qwerty123',
+  'admin123',
+  'letmein1',
+];
+
+// Формат хеша: scrypt$N$r$p$<salt base64>$<hash base64>
+function formatHash({ N, r, p }, salt, hash) {
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function parseHash(stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+  const [, N, r, p, salt, hash] = parts;
+  return {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64'),
+  };
+}
+
+function deriveKey(password, salt, { N, r, p }, keyLength) {
+  // maxmem должен вмещать 128 * N * r байт, иначе scrypt откажется работать при больших N
+  return scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
+
+export function createPasswordHasher(params = {}) {
+  const current = { ...DEFAULT_HASH_PARAMS, ...params };
+
+  // Хеширование пароля с новой случайной солью
+  async function hash(password) {
+    const salt = crypto.randomBytes(current.saltLength);
+    const derived = await deriveKey(password, salt, current, current.keyLength);
+    return formatHash(current, salt, derived);
+  }
+
+  // Проверка пароля по сохраненному хешу (сравнение за постоянное время)
+  async function verify(password, stored) {
+    const parsed = parseHash(stored);
+    if (!parsed || typeof password !== 'string') {
+      return false;
+    }
+    const derived = await deriveKey(password, parsed.salt, parsed, parsed.hash.length);
+    return crypto.timingSafeEqual(derived, parsed.hash);
+  }
+
+  // Нужно ли пересчитать хеш (параметры устарели или хеш в неизвестном формате)
+  function needsRehash(stored) {
+    const parsed = parseHash(stored);
+    if (!parsed) {
+      return true;
+    }
+    return parsed.N !== current.N
+      || parsed.r !== current.r
+      || parsed.p !== current.p
+      || parsed.hash.length !== current.keyLength
+      || parsed.salt.length !== current.saltLength;
+  }
+
+  return {
+    hash,
+    verify,
+    needsRehash,
+  };
+}
+
+export function createPasswordPolicy(options = {}) {
+  const {
+    minLength = 8,
+    bannedPasswords = DEFAULT_BANNED_PASSWORDS,
+  } = options;
+
+  const banned = new Set(bannedPasswords.map(p => p.toLowerCase()));
+
+  // Проверка пароля на соответствие политике
+  // Возвращает список нарушений (пустой массив - пароль допустим)
+  function validate(password, user = {}) {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length === 0) {
+      return ['Password is required'];
+    }
+    if (password.length < minLength) {
+      errors.push(`Password must be at least ${minLength} characters long`);
+    }
+    if (banned.has(password.toLowerCase())) {
+      errors.push('Password is too common');
+    }
+    if (user.id && password.toLowerCase() === String(user.id).toLowerCase()) {
+      errors.push('Password must not match the username');
+    }
+
+    return errors;
+  }
+
+  // Проверка с выбросом ошибки (для мест создания пользователей и смены пароля)
+  function assertValid(password, user) {
+    const errors = validate(password, user);
+    if (errors.length > 0) {
+      const error = new Error(`Password policy violation: ${errors.join('; ')}`);
+      error.code = 'weak_password';
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  return {
+    minLength,
+    validate,
+    assertValid,
+  };
+}
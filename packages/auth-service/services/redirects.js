@@ -0,0 +1,71 @@
+// Адреса возврата в приложение после логина и выхода
+//
+// У приложения есть основной адрес redirect_url (по умолчанию после логина и выхода)
+// и дополнительные зарегистрированные адреса redirect_urls (другие origin, разделы приложения).
+// Адрес return_to из /client/auth принимается, только если он совпадает с зарегистрированным:
+// тот же origin и путь внутри пути зарегистрированного адреса. Query и fragment return_to сохраняются,
+// поэтому приложение возвращается на ту же страницу, но не на чужой сайт (open redirect).
+
+// Ограничение длины return_to (адрес попадает в хранилище PKCE и в Location)
+const MAX_RETURN_TO_LENGTH = 2048;
+
+function parseHttpUrl(value, base) {
+  try {
+    const url = new URL(value, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// Все зарегистрированные адреса приложения, основной - первый
+export function getRedirectUrls(application) {
+  const urls = [application.redirect_url, ...(application.redirect_urls || [])].filter(Boolean);
+  return [...new Set(urls)];
+}
+
+// Origin зарегистрированных адресов (браузерное приложение обменивает код со своего origin)
+export function getApplicationOrigins(application) {
+  return new Set(getRedirectUrls(application)
+    .map(url => parseHttpUrl(url)?.origin)
+    .filter(Boolean));
+}
+
+// Путь return_to внутри пути зарегистрированного адреса (по границе сегмента)
+function isWithinPath(pathname, registeredPath) {
+  if (pathname === registeredPath || registeredPath === '/') {
+    return true;
+  }
+  const prefix = registeredPath.endsWith('/') ? registeredPath : `${registeredPath}/`;
+  return pathname.startsWith(prefix);
+}
+
+/**
+ * Проверка return_to по зарегистрированным адресам приложения
+ * Относительный return_to (/path?query#hash) отсчитывается от основного redirect_url
+ * Возвращает { url, registeredUrl } или null, если адрес не зарегистрирован
+ */
+export function matchRedirectUrl(application, returnTo) {
+  const registered = getRedirectUrls(application);
+  if (typeof returnTo !== 'string' || returnTo.length > MAX_RETURN_TO_LENGTH || registered.length === 0) {
+    return null;
+  }
+
+  // Protocol-relative (//evil.example) и обратные слэши не считаются относительными путями
+  const isRelative = returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.includes('\\');
+  if (!isRelative && !/^https?:\/\//i.test(returnTo)) {
+    return null;
+  }
+  const url = parseHttpUrl(returnTo, isRelative ? registered[0] : undefined);
+  if (!url || url.username || url.password) {
+    return null;
+  }
+
+  for (const registeredUrl of registered) {
+    const candidate = parseHttpUrl(registeredUrl);
+    if (candidate && candidate.origin === url.origin && isWithinPath(url.pathname, candidate.pathname)) {
+      return { url: url.href, registeredUrl };
+    }
+  }
+  return null;
+}
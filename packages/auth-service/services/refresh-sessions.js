@@ -0,0 +1,68 @@
+// Серверное хранилище refresh токенов приложений
+//
+// Refresh токен не передается в браузер: после /client/callback он сохраняется здесь,
+// а браузер получает только идентификатор сессии в httpOnly cookie. По этому идентификатору
+// POST /api/refresh обновляет токены и сохраняет новый refresh токен (ротация).
+// Последний ID токен хранится для id_token_hint при выходе (end_session).
+// Записи лежат в хранилище временных записей (store/kv.js) рядом с refresh токенами provider,
+// поэтому при файловом драйвере сессии переживают перезапуск.
+
+import crypto from 'crypto';
+
+export function createRefreshSessionStore(kv, options = {}) {
+  const {
+    ttlMs = 14 * 24 * 60 * 60 * 1000,
+  } = options;
+
+  // Ключ - хеш идентификатора сессии, значение - { clientId, refreshToken, idToken }
+  function keyFor(id) {
+    return `refreshSession:${crypto.createHash('sha256').update(String(id)).digest('base64url')}`;
+  }
+
+  const ttlSeconds = Math.ceil(ttlMs / 1000);
+
+  // Создание сессии, возвращает идентификатор для cookie
+  async function create(clientId, refreshToken, idToken) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    await kv.set(keyFor(id), { clientId, refreshToken, idToken }, ttlSeconds);
+    return id;
+  }
+
+  // Поиск действующей сессии приложения
+  async function find(id, clientId) {
+    if (!id) {
+      return null;
+    }
+    const session = await kv.get(keyFor(id));
+    if (!session || session.clientId !== clientId) {
+      return null;
+    }
+    return session;
+  }
+
+  // Сохранение новых токенов после ротации (срок сессии продлевается)
+  async function update(id, refreshToken, idToken) {
+    const session = await kv.get(keyFor(id));
+    if (!session) {
+      return false;
+    }
+    session.refreshToken = refreshToken;
+    if (idToken) {
+      session.idToken = idToken;
+    }
+    await kv.set(keyFor(id), session, ttlSeconds);
+    return true;
+  }
+
+  async function remove(id) {
+    await kv.delete(keyFor(id));
+  }
+
+  return {
+    ttlMs,
+    create,
+    find,
+    update,
+    delete: remove,
+  };
+}
@@ -0,0 +1,111 @@
+// Рассылка списка отозванных токенов (denylist) в API приложений
+//
+// JWT access токены проверяются API локально, поэтому отзыв (отключение пользователя,
+// смена пароля или роли, явный отзыв через Management API) сообщается API заранее:
+// auth-service отправляет POST на revocation_push_uri приложения, а jwt-middleware
+// в режиме revocationCheck: 'denylist' отклоняет токены из списка.
+//
+// Формат запроса: { revoked: [{ jti | sid | sub, revoked_at?, exp? }] }
+//   jti - отзыв одного токена, sid - всех токенов сессии,
+//   sub - всех токенов пользователя, выданных не позже revoked_at (секунды);
+//   exp - до какого момента (секунды) API должен помнить запись.
+// Аутентификация - HTTP Basic с client_id и secret приложения.
+
+import { toLogger } from 'stork-logger';
+
+const REVOCATION_KEYS = ['jti', 'sid', 'sub'];
+
+// Одна запись denylist: ровно один идентификатор
+export function normalizeRevocation(entry = {}) {
+  const keys = REVOCATION_KEYS.filter(key => entry[key] !== undefined && entry[key] !== null && entry[key] !== '');
+  if (keys.length !== 1) {
+    return null;
+  }
+  const [key] = keys;
+  const now = Math.floor(Date.now() / 1000);
+  const exp = Number(entry.exp);
+  return {
+    [key]: String(entry[key]),
+    revoked_at: Number(entry.revoked_at) || now,
+    ...(Number.isFinite(exp) && exp > now ? { exp } : {}),
+  };
+}
+
+export function createRevocationNotifier(store, options = {}) {
+  const {
+    timeoutMs = 5000,
+    // Сколько API помнит запись, если exp не указан (не меньше срока жизни access токенов)
+    defaultTtlSeconds = 60 * 60,
+  } = options;
+  const logger = toLogger(options.logger, { name: 'auth-service' });
+
+  // Срок хранения записи для приложения: время жизни access токенов его API
+  async function getEntryTtl(application) {
+    if (application.resource) {
+      const resourceServer = await store.findResourceServer(application.resource);
+      if (resourceServer?.access_token_ttl) {
+        return resourceServer.access_token_ttl;
+      }
+    }
+    return defaultTtlSeconds;
+  }
+
+  async function pushToApplication(application, entries) {
+    const ttl = await getEntryTtl(application);
+    const revoked = entries.map(entry => ({
+      exp: entry.revoked_at + ttl,
+      ...entry,
+    }));
+    const credentials = Buffer.from(
+      `${encodeURIComponent(application.client_id)}:${encodeURIComponent(application.secret)}`,
+    ).toString('base64');
+
+    try {
+      const response = await fetch(application.revocation_push_uri, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Basic ${credentials}`,
+        },
+        body: JSON.stringify({ revoked }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        logger.warn('Revocation push failed', { clientId: application.client_id, status: response.status });
+        return { clientId: application.client_id, delivered: false, status: response.status };
+      }
+      return { clientId: application.client_id, delivered: true };
+    } catch (error) {
+      logger.warn('Revocation push failed', { clientId: application.client_id, message: error.message });
+      return { clientId: application.client_id, delivered: false, error: error.message };
+    }
+  }
+
+  /**
+   * Отправка записей во все приложения с revocation_push_uri
+   * Ошибки доставки не выбрасываются, а возвращаются в результате (по приложениям)
+   */
+  async function push(entries) {
+    const list = (Array.isArray(entries) ? entries : [entries]).map(normalizeRevocation).filter(Boolean);
+    if (list.length === 0) {
+      return [];
+    }
+
+    const applications = await store.listApplications();
+    const targets = applications.filter(application => !application.disabled && application.secret && application.revocation_push_uri);
+    const results = await Promise.all(targets.map(application => pushToApplication(application, list)));
+
+    logger.info('Revocation pushed', { entries: list.length, delivered: results.filter(result => result.delivered).length, targets: results.length });
+    return results;
+  }
+
+  // Отзыв всех токенов пользователя, выданных до текущего момента
+  function revokeUser(userId) {
+    return push({ sub: userId });
+  }
+
+  return {
+    push,
+    revokeUser,
+  };
+}
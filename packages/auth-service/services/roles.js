@@ -0,0 +1,57 @@
+// Роли и разрешения пользователей в приложениях
+//
+// У пользователя в приложении может быть несколько ролей (userAppRoles: user -> app -> [roles]),
+// а также роли групп, в которых он состоит (groups[].roles: app -> [roles]).
+// Роли описываются в resource server (API приложения) набором разрешений и наследованием:
+//   roles: {
+//     viewer: { permissions: ['data:read'] },
+//     user:   { inherits: ['viewer'], permissions: ['data:write'] },
+//     admin:  { inherits: ['user'], permissions: ['admin'] },
+//   }
+// Разрешения роли - ее permissions и разрешения всех унаследованных ролей (admin ⊇ user ⊇ viewer).
+// Старый формат role_scopes ({ role: [scopes] }) читается как роли без наследования.
+// Политика ролей - общий пакет stork-roles, тот же формат принимает jwt-middleware (policy / policyFile).
+
+import { createRolePolicy, normalizeRoles } from 'stork-roles';
+
+export { normalizeRoles };
+
+/**
+ * Роли пользователя в приложении: назначенные напрямую и полученные через группы
+ * Возвращает { roles, groups } - объединенный список ролей и id всех групп пользователя (claim groups)
+ */
+export async function resolveUserRoles(store, userId, clientId) {
+  const [direct, groups] = await Promise.all([
+    store.getUserRoles(userId, clientId),
+    store.listUserGroups(userId),
+  ]);
+  const roles = new Set(direct);
+  for (const group of groups) {
+    (group.roles[clientId] || []).forEach(role => roles.add(role));
+  }
+  return { roles: [...roles], groups: groups.map(group => group.id) };
+}
+
+// Политика ролей resource server: roles или role_scopes; null - роли сервера не описаны
+export function getResourceServerPolicy(resourceServer) {
+  if (resourceServer?.roles) {
+    return createRolePolicy(resourceServer.roles);
+  }
+  if (resourceServer?.role_scopes) {
+    return createRolePolicy(Object.fromEntries(Object.entries(resourceServer.role_scopes)
+      .map(([role, scopes]) => [role, { permissions: scopes }])));
+  }
+  return null;
+}
+
+// Назначенные роли вместе с унаследованными (для проверок вроде mfa_required_roles)
+export function expandResourceRoles(resourceServer, roles) {
+  const policy = getResourceServerPolicy(resourceServer);
+  return policy ? policy.expandRoles(roles) : normalizeRoles(roles);
+}
+
+// Разрешения ролей в API; без описания ролей доступны все scope сервера
+export function resolveResourcePermissions(resourceServer, roles) {
+  const policy = getResourceServerPolicy(resourceServer);
+  return policy ? policy.resolvePermissions(roles) : [...(resourceServer.scopes || [])];
+}
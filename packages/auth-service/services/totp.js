@@ -0,0 +1,159 @@
+// TOTP (RFC 6238) второй фактор: секреты, проверка кодов, recovery codes
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) для заданного счетчика
+function hotp(secret, counter, digits) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', secret).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return String(code).padStart(digits, '0');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+export function createTotpService(options = {}) {
+  const {
+    issuer = 'OIDC Demo',
+    digits = 6,
+    period = 30, // секунд
+    window = 1, // Допустимое расхождение часов: ±1 период
+    recoveryCodeCount = 10,
+  } = options;
+
+  function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / period);
+  }
+
+  // Новый случайный секрет (160 бит, base32)
+  function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // otpauth:// URI для приложений-аутентификаторов (Google Authenticator, Aegis и т.п.)
+  function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(digits),
+      period: String(period),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  function generateCode(secret, now = Date.now()) {
+    return hotp(base32Decode(secret), currentStep(now), digits);
+  }
+
+  // Проверка кода
+  // lastUsedStep - шаг последнего принятого кода, чтобы один и тот же код нельзя было использовать повторно
+  // Возвращает шаг принятого кода или null
+  function verifyCode(secret, code, lastUsedStep = null, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const step = currentStep(now);
+
+    for (let offset = -window; offset <= window; offset++) {
+      const candidate = step + offset;
+      if (lastUsedStep !== null && candidate <= lastUsedStep) {
+        continue;
+      }
+      const expected = hotp(key, candidate, digits);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  // Набор одноразовых recovery codes
+  // Возвращает коды для показа пользователю и их хеши для хранения
+  function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return {
+      codes,
+      hashes: codes.map(hashRecoveryCode),
+    };
+  }
+
+  // Проверка recovery code
+  // Возвращает оставшиеся хеши (без использованного кода) или null, если код неверный
+  function consumeRecoveryCode(hashes = [], code) {
+    const hash = hashRecoveryCode(String(code || '').trim());
+    const index = hashes.indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    return hashes.filter((_, i) => i !== index);
+  }
+
+  return {
+    generateSecret,
+    buildOtpauthUri,
+    generateCode,
+    verifyCode,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+  };
+}
@@ -0,0 +1,85 @@
+// Сервис пользователей: создание с проверкой политики паролей и проверка учетных данных
+// Пароли в хранилище хранятся только в виде хешей (поле passwordHash)
+
+import { toLogger } from 'stork-logger';
+import { storeError } from '../store/index.js';
+
+// Публичное представление пользователя (без хеша пароля и секретов второго фактора)
+export function toPublicUser(user) {
+  if (!user) {
+    return null;
+  }
+  const { password, passwordHash, totp, ...rest } = user;
+  return rest;
+}
+
+// Преобразование начальных данных: пароли в открытом виде заменяются хешами
+// Хешируются только записи без хеша или с хешем на устаревших параметрах (если есть пароль),
+// действующий passwordHash сохраняется как есть
+// Политика паролей к начальным (демо) пользователям не применяется
+export async function hashSeedUsers(users, hasher) {
+  return Promise.all(users.map(async ({ password, ...user }) => {
+    const rehash = typeof password === 'string' && (!user.passwordHash || hasher.needsRehash(user.passwordHash));
+    return rehash ? { ...user, passwordHash: await hasher.hash(password) } : user;
+  }));
+}
+
+export function createUserService(store, { hasher, policy, logger: injectedLogger }) {
+  const logger = toLogger(injectedLogger, { name: 'auth-service' });
+
+  // Создание пользователя с проверкой политики паролей
+  async function createUser({ password, ...user }) {
+    policy.assertValid(password, user);
+    const passwordHash = await hasher.hash(password);
+    return store.createUser({ ...user, passwordHash });
+  }
+
+  // Смена пароля с проверкой политики паролей
+  async function setPassword(userId, password) {
+    const user = await store.findUserById(userId);
+    if (!user) {
+      throw storeError('not_found', `User ${userId} not found`);
+    }
+    policy.assertValid(password, user);
+    const passwordHash = await hasher.hash(password);
+    return store.updateUser(userId, { passwordHash, password: undefined });
+  }
+
+  // Проверка логина и пароля
+  // Возвращает пользователя или null, если учетные данные неверны или пользователь отключен
+  async function verifyCredentials(login, password) {
+    const user = login ? await store.findUserById(login) : null;
+    if (!user || user.disabled) {
+      // Выполняем хеширование впустую, чтобы время ответа не выдавало существование пользователя
+      await hasher.hash(String(password || ''));
+      return null;
+    }
+
+    let valid = false;
+    if (user.passwordHash) {
+      valid = await hasher.verify(password, user.passwordHash);
+    } else if (typeof user.password === 'string') {
+      // Устаревшая запись с паролем в открытом виде (хранилище до перехода на хеши)
+      valid = await hasher.verify(password, await hasher.hash(user.password));
+    }
+
+    if (!valid) {
+      return null;
+    }
+
+    // Прозрачный пересчет хеша: устаревшие параметры или пароль в открытом виде
+    if (!user.passwordHash || hasher.needsRehash(user.passwordHash)) {
+      const passwordHash = await hasher.hash(password);
+      await store.updateUser(user.id, { passwordHash, password: undefined });
+      logger.info('Password hash upgraded', { userId: user.id });
+    }
+
+    return toPublicUser(user);
+  }
+
+  return {
+    createUser,
+    setPassword,
+    verifyCredentials,
+  };
+}
@@ -0,0 +1,433 @@
+// Настройки auth-service
+//
+// Источники по убыванию приоритета: переменные окружения, файл CONFIG_FILE (JSON или YAML),
+// значения по умолчанию. Ошибки схемы (неизвестный ключ, неверный тип, URL или значение)
+// собираются вместе и останавливают запуск сервиса.
+//
+// Пример файла (config.yaml):
+//   publicUrl: https://auth.example.com
+//   trustProxy: 1
+//   cookies:
+//     secure: true
+//   store:
+//     file: /var/lib/auth-service/store.json
+//   clients:
+//     admin-ui:
+//       redirect_url: https://admin.example.com/
+//       redirect_urls: [https://admin.example.com/reports/]
+//       backchannel_logout_uri: https://admin.example.com/api/backchannel-logout
+//       revocation_push_uri: https://admin.example.com/api/revocations
+//   realms:
+//     shop:
+//       displayName: Shop
+//       primaryColor: '#2e7d32'
+//       seedFile: ./realms/shop-seed.json
+//
+// Относительные пути из файла отсчитываются от каталога файла, из переменных окружения - от текущего каталога.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toLogger } from 'stork-logger';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Адреса приложения, которые можно переопределить в настройках (clients.<client_id>)
+export const CLIENT_URL_FIELDS = ['redirect_url', 'redirect_urls', 'backchannel_logout_uri', 'revocation_push_uri'];
+
+function configError(message, errors = [message]) {
+  const error = new Error(message);
+  error.code = 'invalid_config';
+  error.errors = errors;
+  return error;
+}
+
+// ========== Типы значений ==========
+// Значение из переменной окружения - всегда строка, из файла - значение JSON/YAML
+
+function integer({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  return (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw configError(`must be an integer from ${min} to ${max}`);
+    }
+    return number;
+  };
+}
+
+function boolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  throw configError('must be true or false');
+}
+
+function string(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw configError('must be a non-empty string');
+  }
+  return value;
+}
+
+function oneOf(...values) {
+  return (value) => {
+    if (!values.includes(value)) {
+      throw configError(`must be one of ${values.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+// Список строк: массив в файле или значения через запятую в переменной окружения
+function list(value) {
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    throw configError('must be a list of strings');
+  }
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+function filePath(value, { baseDir }) {
+  return path.resolve(baseDir, string(value));
+}
+
+function absoluteUrl(value) {
+  let url;
+  try {
+    url = new URL(string(value));
+  } catch (error) {
+    if (error.code === 'invalid_config') {
+      throw error;
+    }
+    throw configError('must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw configError('must be an absolute http(s) URL');
+  }
+  return url;
+}
+
+// Адрес как строка (логотип на страницах логина)
+function urlString(value) {
+  return absoluteUrl(value).toString();
+}
+
+// Базовый URL сервиса (provider подключен в корень, поэтому без пути, query и fragment)
+function baseUrl(value) {
+  const url = absoluteUrl(value);
+  if (url.pathname !== '/' || url.search || url.hash) {
+    throw configError('must be an origin URL without path, query or fragment');
+  }
+  return url.origin;
+}
+
+// Значение express "trust proxy": true/false, число прокси перед сервисом или список адресов/подсетей
+function trustProxy(value) {
+  if (typeof value === 'boolean' || value === 'true' || value === 'false') {
+    return boolean(value);
+  }
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    return integer({ min: 0 })(value);
+  }
+  return list(value);
+}
+
+// Адреса приложений: { <client_id>: { redirect_url, redirect_urls, backchannel_logout_uri, revocation_push_uri } }
+function clients(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw configError('must be an object keyed by client_id');
+  }
+  return Object.fromEntries(Object.entries(value).map(([clientId, urls]) => {
+    if (!urls || typeof urls !== 'object' || Array.isArray(urls)) {
+      throw configError(`${clientId} must be an object`);
+    }
+    const unknown = Object.keys(urls).filter(field => !CLIENT_URL_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw configError(`${clientId}: unknown field ${unknown.join(', ')}, expected ${CLIENT_URL_FIELDS.join(', ')}`);
+    }
+    return [clientId, Object.fromEntries(Object.entries(urls).map(([field, url]) => {
+      try {
+        // redirect_urls - список дополнительных адресов возврата
+        if (field === 'redirect_urls') {
+          return [field, list(url).map(item => absoluteUrl(item).href)];
+        }
+        return [field, absoluteUrl(url).href];
+      } catch (error) {
+        throw configError(`${clientId}.${field} ${error.message}`);
+      }
+    }))];
+  }));
+}
+
+// Цвет кнопок и ссылок страниц логина: #rgb или #rrggbb
+function color(value) {
+  if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+    throw configError('must be a hex color (#rgb or #rrggbb)');
+  }
+  return value;
+}
+
+// Имя области - сегмент пути /realms/<name> и префикс ключей в хранилище сессий
+const REALM_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const REALM_FIELDS = ['displayName', 'primaryColor', 'logoUri', 'storeFile', 'seedFile', 'clients'];
+
+// Области: { <name>: { displayName, primaryColor, storeFile, seedFile, clients } }
+function realms(value, context) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw configError('must be an object keyed by realm name');
+  }
+  return Object.fromEntries(Object.entries(value).map(([name, realm]) => {
+    if (!REALM_NAME.test(name) || name === 'main') {
+      throw configError(`${name}: realm name must match ${REALM_NAME} and must not be main`);
+    }
+    if (!realm || typeof realm !== 'object' || Array.isArray(realm)) {
+      throw configError(`${name} must be an object`);
+    }
+    const unknown = Object.keys(realm).filter(field => !REALM_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw configError(`${name}: unknown field ${unknown.join(', ')}, expected ${REALM_FIELDS.join(', ')}`);
+    }
+    const field = (key, parse) => {
+      if (realm[key] === undefined) {
+        return undefined;
+      }
+      try {
+        return parse(realm[key], context);
+      } catch (error) {
+        throw configError(`${name}.${key} ${error.message}`);
+      }
+    };
+    return [name, {
+      branding: {
+        displayName: field('displayName', string) ?? name,
+        ...(realm.primaryColor !== undefined ? { primaryColor: field('primaryColor', color) } : {}),
+        ...(realm.logoUri !== undefined ? { logoUri: field('logoUri', urlString) } : {}),
+      },
+      storeFile: field('storeFile', filePath),
+      seedFile: field('seedFile', filePath),
+      clients: field('clients', clients) ?? {},
+    }];
+  }));
+}
+
+// CLIENT_REDIRECT_URLS=admin-ui=https://admin.example.com/,demo-client=https://demo.example.com/
+function clientRedirectUrls(value) {
+  return clients(Object.fromEntries(list(value).map((item) => {
+    const separator = item.indexOf('=');
+    if (separator <= 0) {
+      throw configError('must be a list of client_id=url pairs');
+    }
+    return [item.slice(0, separator).trim(), { redirect_url: item.slice(separator + 1).trim() }];
+  })));
+}
+
+// Адреса из переменной окружения дополняют адреса из файла
+function mergeClients(fileValue, envValue) {
+  const merged = { ...fileValue };
+  for (const [clientId, urls] of Object.entries(envValue)) {
+    merged[clientId] = { ...merged[clientId], ...urls };
+  }
+  return merged;
+}
+
+function dataFile(name) {
+  return path.join(__dirname, 'data', name);
+}
+
+// ========== Схема ==========
+// key - путь в файле настроек и в результате loadSettings(), env - переменная окружения,
+// default - значение или функция от уже вычисленных настроек
+
+const SCHEMA = [
+  { key: 'port', env: 'PORT', parse: integer({ min: 1, max: 65535 }), default: 3000 },
+  // Адрес, по которому браузеры открывают auth-service (за reverse proxy - внешний адрес)
+  { key: 'publicUrl', env: 'PUBLIC_URL', parse: baseUrl, default: settings => `http://localhost:${settings.port}` },
+  // Issuer provider (iss токенов и discovery)
+  { key: 'issuer', env: 'ISSUER', parse: baseUrl, default: settings => settings.publicUrl },
+  // Доверенные прокси: X-Forwarded-For/-Proto учитываются только от них (req.ip, secure cookie provider)
+  { key: 'trustProxy', env: 'TRUST_PROXY', parse: trustProxy, default: false },
+  { key: 'cookies.secure', env: 'COOKIE_SECURE', parse: boolean, default: settings => !!settings.publicUrl?.startsWith('https:') },
+  { key: 'cookies.sameSite', env: 'COOKIE_SAME_SITE', parse: oneOf('lax', 'strict', 'none'), default: 'lax' },
+  { key: 'store.driver', env: 'STORE_DRIVER', parse: oneOf('file', 'memory'), default: 'file' },
+  { key: 'store.file', env: 'STORE_FILE', parse: filePath, default: dataFile('store.json') },
+  { key: 'store.sessionsFile', env: 'SESSION_STORE_FILE', parse: filePath, default: dataFile('sessions.json') },
+  { key: 'store.pkceTtlSeconds', env: 'PKCE_TTL_SECONDS', parse: integer({ min: 1 }), default: 10 * 60 },
+  { key: 'keys.file', env: 'KEYS_FILE', parse: filePath, default: dataFile('keys.json') },
+  { key: 'keys.gracePeriodMs', env: 'KEY_GRACE_PERIOD_MS', parse: integer({ min: 0 }), default: 14 * 24 * 60 * 60 * 1000 },
+  { key: 'keys.minPublishMs', env: 'KEY_MIN_PUBLISH_MS', parse: integer({ min: 0 }), default: 10 * 60 * 1000 },
+  { key: 'password.minLength', env: 'PASSWORD_MIN_LENGTH', parse: integer({ min: 1 }), default: 8 },
+  // По умолчанию - встроенный список распространенных паролей
+  { key: 'password.bannedList', env: 'PASSWORD_BANNED_LIST', parse: list, default: undefined },
+  { key: 'login.maxAttempts', env: 'LOGIN_MAX_ATTEMPTS', parse: integer({ min: 1 }), default: 5 },
+  { key: 'login.ipMaxAttempts', env: 'LOGIN_IP_MAX_ATTEMPTS', parse: integer({ min: 1 }), default: 20 },
+  { key: 'login.lockoutMs', env: 'LOGIN_LOCKOUT_MS', parse: integer({ min: 1 }), default: 60 * 1000 },
+  { key: 'totpIssuer', env: 'TOTP_ISSUER', parse: string, default: 'OIDC Demo' },
+  { key: 'handoffTtlMs', env: 'HANDOFF_TTL_MS', parse: integer({ min: 1 }), default: 60 * 1000 },
+  { key: 'refreshSessionTtlMs', env: 'REFRESH_SESSION_TTL_MS', parse: integer({ min: 1 }), default: 14 * 24 * 60 * 60 * 1000 },
+  {
+    key: 'clients',
+    env: 'CLIENT_REDIRECT_URLS',
+    parse: clients,
+    parseEnv: clientRedirectUrls,
+    merge: mergeClients,
+    default: {},
+  },
+  // Журнал аудита (JSONL, ротация по размеру файла)
+  { key: 'audit.file', env: 'AUDIT_FILE', parse: filePath, default: dataFile('audit.jsonl') },
+  { key: 'audit.maxBytes', env: 'AUDIT_MAX_BYTES', parse: integer({ min: 1024 }), default: 10 * 1024 * 1024 },
+  { key: 'audit.maxFiles', env: 'AUDIT_MAX_FILES', parse: integer({ min: 0, max: 100 }), default: 5 },
+  // Логи сервиса: минимальный уровень и формат (json - одна JSON-запись на строку, pretty - для терминала)
+  { key: 'log.level', env: 'LOG_LEVEL', parse: oneOf('debug', 'info', 'warn', 'error', 'silent'), default: 'info' },
+  { key: 'log.format', env: 'LOG_FORMAT', parse: oneOf('json', 'pretty'), default: 'json' },
+  // Метрики Prometheus (GET /metrics); с токеном запрос должен содержать Authorization: Bearer <token>
+  { key: 'metrics.enabled', env: 'METRICS_ENABLED', parse: boolean, default: true },
+  { key: 'metrics.token', env: 'METRICS_TOKEN', parse: string, default: undefined },
+  // Название, цвет и логотип страниц логина основной области (дополнительные области и приложения задают свои)
+  { key: 'branding.displayName', env: 'BRANDING_DISPLAY_NAME', parse: string, default: undefined },
+  { key: 'branding.primaryColor', env: 'BRANDING_PRIMARY_COLOR', parse: color, default: '#007bff' },
+  { key: 'branding.logoUri', env: 'BRANDING_LOGO_URI', parse: urlString, default: undefined },
+  // Страницы логина: каталог своих шаблонов и текстов (дополняет встроенные views/) и язык по умолчанию
+  { key: 'ui.viewsDir', env: 'VIEWS_DIR', parse: filePath, default: undefined },
+  { key: 'ui.defaultLocale', env: 'UI_DEFAULT_LOCALE', parse: string, default: 'en' },
+  // Дополнительные области задаются только в файле настроек
+  { key: 'realms', parse: realms, default: {} },
+];
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => {
+    node[part] ??= {};
+    return node[part];
+  }, object);
+  target[last] = value;
+}
+
+// Ключи файла, которых нет в схеме (опечатки не должны молча игнорироваться)
+function findUnknownKeys(data, prefix = '') {
+  const unknown = [];
+  for (const [name, value] of Object.entries(data)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (SCHEMA.some(entry => entry.key === key)) {
+      continue;
+    }
+    const isSection = SCHEMA.some(entry => entry.key.startsWith(`${key}.`));
+    if (isSection && value && typeof value === 'object' && !Array.isArray(value)) {
+      unknown.push(...findUnknownKeys(value, key));
+    } else {
+      unknown.push(key);
+    }
+  }
+  return unknown;
+}
+
+async function readSettingsFile(configFile) {
+  let text;
+  try {
+    text = await fs.readFile(configFile, 'utf8');
+  } catch (error) {
+    throw configError(`Config file ${configFile}: ${error.message}`);
+  }
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(configFile) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw configError(`Config file ${configFile}: ${error.message}`);
+  }
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw configError(`Config file ${configFile}: must contain an object`);
+  }
+  return data;
+}
+
+/**
+ * Загрузка и проверка настроек
+ * env        - переменные окружения (по умолчанию process.env)
+ * configFile - путь к файлу настроек (по умолчанию env.CONFIG_FILE, файл необязателен)
+ * Ошибки - Error с code 'invalid_config' и списком errors
+ */
+export async function loadSettings({ env = process.env, configFile = env.CONFIG_FILE } = {}) {
+  const fileData = configFile ? await readSettingsFile(configFile) : {};
+  const fileContext = { baseDir: configFile ? path.dirname(path.resolve(configFile)) : process.cwd() };
+  const envContext = { baseDir: process.cwd() };
+
+  const errors = findUnknownKeys(fileData).map(key => `${configFile}: unknown setting ${key}`);
+  const settings = {};
+
+  for (const entry of SCHEMA) {
+    const parse = (value, context, source, parser = entry.parse) => {
+      try {
+        return parser(value, context);
+      } catch (error) {
+        if (error.code !== 'invalid_config') {
+          throw error;
+        }
+        errors.push(`${source} ${error.message}`);
+        return undefined;
+      }
+    };
+
+    const fileValue = getPath(fileData, entry.key);
+    const envValue = entry.env ? env[entry.env] : undefined;
+    const fromFile = fileValue !== undefined
+      ? parse(fileValue, fileContext, `${configFile}: ${entry.key}`)
+      : undefined;
+    const fromEnv = envValue !== undefined && envValue !== ''
+      ? parse(envValue, envContext, entry.env, entry.parseEnv)
+      : undefined;
+
+    let value;
+    if (fromEnv !== undefined && fromFile !== undefined && entry.merge) {
+      value = entry.merge(fromFile, fromEnv);
+    } else {
+      value = fromEnv ?? fromFile;
+    }
+    if (value === undefined) {
+      value = typeof entry.default === 'function' ? entry.default(settings) : entry.default;
+    }
+    setPath(settings, entry.key, value);
+  }
+
+  // Браузеры принимают SameSite=None только вместе с Secure
+  if (errors.length === 0 && settings.cookies.sameSite === 'none' && !settings.cookies.secure) {
+    errors.push('cookies.sameSite none requires cookies.secure (COOKIE_SECURE=true)');
+  }
+
+  if (errors.length > 0) {
+    throw configError(`Invalid configuration:\n  ${errors.join('\n  ')}`, errors);
+  }
+  return settings;
+}
+
+// Применение адресов из настроек к приложениям в хранилище (clients.<client_id>)
+// Настройки развертывания имеют приоритет: адреса обновляются при каждом запуске
+export async function applyClientSettings(store, clientSettings, injectedLogger) {
+  const logger = toLogger(injectedLogger, { name: 'auth-service' });
+  for (const [clientId, urls] of Object.entries(clientSettings)) {
+    const application = await store.findApplication(clientId);
+    if (!application) {
+      logger.warn('Config: client not found in store, settings ignored', { clientId });
+      continue;
+    }
+    const patch = Object.fromEntries(Object.entries(urls)
+      .filter(([field, url]) => JSON.stringify(application[field]) !== JSON.stringify(url)));
+    if (Object.keys(patch).length > 0) {
+      await store.updateApplication(clientId, patch);
+      logger.info('Config: client updated', { clientId, ...patch });
+    }
+  }
+}
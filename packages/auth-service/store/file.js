@@ -0,0 +1,57 @@
+// Файловое хранилище пользователей, приложений и ролей
+// Данные хранятся в JSON-файле и переживают перезапуск сервиса
+
+import fs from 'fs/promises';
+import path from 'path';
+import { toLogger } from 'stork-logger';
+import { createMemoryStore } from './memory.js';
+
+export async function readDataFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read store file ${filePath}: ${err.message}`);
+  }
+}
+
+// Атомарная запись: сначала во временный файл, затем rename
+// mode - права на файл (например, 0o600 для файла с ключами)
+export async function writeDataFile(filePath, data, { mode } = {}) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { encoding: 'utf8', ...(mode ? { mode } : {}) });
+  await fs.rename(tmpPath, filePath);
+}
+
+// Создание файлового хранилища
+// Если файл еще не существует, он создается из seedData
+// prepareSeedData вызывается только для разделов seedData, которых нет в файле
+export async function createFileStore(filePath, seedData = {}, { logger, prepareSeedData = async data => data } = {}) {
+  let initialData = await readDataFile(filePath);
+
+  if (!initialData) {
+    initialData = await prepareSeedData(seedData);
+    await writeDataFile(filePath, initialData);
+    toLogger(logger, { name: 'auth-service' }).info('Store file created from seed data', { filePath });
+  } else {
+    // Разделы, появившиеся после создания файла, заполняются из seedData
+    const missing = Object.fromEntries(Object.entries(seedData).filter(([section]) => !(section in initialData)));
+    initialData = { ...(await prepareSeedData(missing)), ...initialData };
+  }
+
+  // Записи на диск выполняются последовательно, чтобы не перетирать друг друга
+  let writeQueue = Promise.resolve();
+
+  return createMemoryStore(initialData, {
+    onChange(data) {
+      writeQueue = writeQueue
+        .catch(() => {})
+        .then(() => writeDataFile(filePath, data));
+      return writeQueue;
+    },
+  });
+}
@@ -0,0 +1,39 @@
+// Хранилище пользователей, групп, приложений, ролей, resource servers и согласий (consent)
+//
+// Все реализации предоставляют одинаковый асинхронный интерфейс:
+//   listUsers(), findUserById(id), createUser(user), updateUser(id, patch)
+//   listApplications(), findApplication(clientId), createApplication(app), updateApplication(clientId, patch)
+//   getUserRoles(userId, clientId), getUserAppRoles(userId), listUserAppRoles()
+//   setUserRoles(userId, clientId, roles), removeUserAppRoles(userId, clientId)
+//   listGroups(), findGroup(id), createGroup(group), updateGroup(id, patch), deleteGroup(id), listUserGroups(userId)
+//   addGroupMember(id, userId), removeGroupMember(id, userId), setGroupRoles(id, clientId, roles)
+//   listResourceServers(), findResourceServer(identifier)
+//   listUserConsents(userId), findConsent(userId, clientId), saveConsent(consent), deleteConsent(userId, clientId)
+//
+// Сессии, grant, коды и токены oidc-provider и состояние client flow хранятся отдельно,
+// в хранилище временных записей с TTL (см. kv.js, oidc-adapter.js)
+
+import { createMemoryStore, storeError } from './memory.js';
+import { createFileStore, readDataFile } from './file.js';
+
+export { createMemoryStore, createFileStore, storeError, readDataFile };
+export { createKeyValueStore, createMemoryKeyValueStore, createFileKeyValueStore, createNamespacedKeyValueStore } from './kv.js';
+
+// Создание хранилища по типу драйвера
+// driver: 'memory' - данные живут только в памяти процесса
+// driver: 'file'   - данные сохраняются в JSON-файл (filePath)
+// prepareSeedData - async преобразование разделов seedData перед использованием (например, хеширование паролей),
+// вызывается только для разделов, которые действительно берутся из seedData
+export async function createStore({ driver = 'file', filePath, seedData, prepareSeedData, logger } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore(prepareSeedData ? await prepareSeedData(seedData || {}) : seedData);
+    case 'file':
+      if (!filePath) {
+        throw new Error('File store requires filePath');
+      }
+      return createFileStore(filePath, seedData, { logger, prepareSeedData });
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
@@ -0,0 +1,177 @@
+// Хранилище временных записей (key-value с TTL)
+//
+// Используется для данных oidc-provider (Session, Grant, AuthorizationCode, RefreshToken, Interaction, ...)
+// и состояния client flow (PKCE). Все реализации предоставляют одинаковый асинхронный интерфейс:
+//   get(key), set(key, value, ttlSeconds), delete(key), close()
+// ttlSeconds не указан - запись не истекает. Просроченные записи не возвращаются и удаляются периодически.
+// Другое хранилище (SQLite, Redis, ...) подключается объектом с тем же интерфейсом.
+// Области (realms) используют общее хранилище с префиксом ключей (createNamespacedKeyValueStore).
+
+import { toLogger } from 'stork-logger';
+import { readDataFile, writeDataFile } from './file.js';
+
+function clone(value) {
+  return value === undefined || value === null ? value : structuredClone(value);
+}
+
+// In-memory реализация, основа для файловой
+// entries - начальные записи { key: { value, expiresAt } }, onChange вызывается после каждого изменения
+export function createMemoryKeyValueStore(options = {}) {
+  const {
+    entries: initialEntries = {},
+    onChange,
+    cleanupIntervalMs = 60 * 1000,
+  } = options;
+
+  // Ключ -> { value, expiresAt } (expiresAt в мс или null)
+  const entries = new Map();
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(initialEntries)) {
+    if (!entry.expiresAt || entry.expiresAt > now) {
+      entries.set(key, entry);
+    }
+  }
+
+  function isExpired(entry) {
+    return !!entry.expiresAt && entry.expiresAt <= Date.now();
+  }
+
+  function changed() {
+    if (onChange) {
+      onChange(entries);
+    }
+  }
+
+  // Периодическая очистка просроченных записей
+  const cleanupTimer = setInterval(() => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      changed();
+    }
+  }, cleanupIntervalMs);
+  cleanupTimer.unref();
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (isExpired(entry)) {
+      entries.delete(key);
+      changed();
+      return undefined;
+    }
+    return clone(entry.value);
+  }
+
+  async function set(key, value, ttlSeconds) {
+    entries.set(key, {
+      value: clone(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+    });
+    changed();
+  }
+
+  async function remove(key) {
+    if (entries.delete(key)) {
+      changed();
+    }
+  }
+
+  async function close() {
+    clearInterval(cleanupTimer);
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    close,
+  };
+}
+
+// Файловая реализация: записи хранятся в JSON-файле и переживают перезапуск сервиса
+// Изменения сбрасываются на диск с задержкой flushDelayMs (несколько изменений - одна запись)
+export async function createFileKeyValueStore(filePath, options = {}) {
+  const { flushDelayMs = 200 } = options;
+  const logger = toLogger(options.logger, { name: 'auth-service' });
+
+  const initialData = await readDataFile(filePath);
+
+  let snapshot = null;
+  let flushTimer = null;
+  // Записи на диск выполняются последовательно, чтобы не перетирать друг друга
+  let writeQueue = Promise.resolve();
+
+  function flush() {
+    flushTimer = null;
+    if (!snapshot) {
+      return writeQueue;
+    }
+    const data = { entries: snapshot };
+    snapshot = null;
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(() => writeDataFile(filePath, data))
+      .catch((err) => {
+        logger.error('Failed to write key-value store file', { filePath, message: err.message });
+      });
+    return writeQueue;
+  }
+
+  const memoryStore = createMemoryKeyValueStore({
+    entries: initialData?.entries || {},
+    onChange(entries) {
+      snapshot = Object.fromEntries(entries);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushDelayMs);
+      }
+    },
+  });
+
+  // Закрытие: несохраненные изменения записываются на диск
+  async function close() {
+    await memoryStore.close();
+    clearTimeout(flushTimer);
+    await flush();
+  }
+
+  return {
+    ...memoryStore,
+    close,
+  };
+}
+
+// Создание хранилища по типу драйвера (аналогично createStore)
+// driver: 'memory' - записи живут только в памяти процесса
+// driver: 'file'   - записи сохраняются в JSON-файл (filePath)
+export async function createKeyValueStore({ driver = 'file', filePath, logger } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryKeyValueStore();
+    case 'file':
+      if (!filePath) {
+        throw new Error('File key-value store requires filePath');
+      }
+      return createFileKeyValueStore(filePath, { logger });
+    default:
+      throw new Error(`Unknown key-value store driver: ${driver}`);
+  }
+}
+
+// Хранилище с префиксом ключей поверх общего (данные области не пересекаются с другими областями)
+// close() не закрывает общее хранилище - его закрывает владелец
+export function createNamespacedKeyValueStore(kv, prefix) {
+  return {
+    get: key => kv.get(`${prefix}${key}`),
+    set: (key, value, ttlSeconds) => kv.set(`${prefix}${key}`, value, ttlSeconds),
+    delete: key => kv.delete(`${prefix}${key}`),
+    close: async () => {},
+  };
+}
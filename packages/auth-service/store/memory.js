@@ -0,0 +1,337 @@
+// In-memory реализация хранилища пользователей, групп, приложений, ролей, resource servers и согласий
+// Используется как хранилище по умолчанию и как основа для файлового хранилища
+
+import { normalizeRoles } from '../services/roles.js';
+
+// Глубокая копия, чтобы вызывающий код не мог изменить данные хранилища напрямую
+function clone(value) {
+  return value === undefined || value === null ? value : structuredClone(value);
+}
+
+// Ошибка хранилища с кодом (not_found, already_exists, invalid_request)
+export function storeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Применение частичного обновления: поля со значением undefined удаляются из записи
+function applyPatch(target, patch) {
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = clone(value);
+    }
+  }
+}
+
+// Роли в приложениях - списки (в файлах, созданных раньше, роль хранилась строкой)
+function normalizeAppRoles(apps = {}) {
+  return Object.fromEntries(Object.entries(apps)
+    .map(([clientId, roles]) => [clientId, normalizeRoles(roles)])
+    .filter(([, roles]) => roles.length > 0));
+}
+
+function normalizeUserAppRoles(userAppRoles = {}) {
+  return Object.fromEntries(Object.entries(userAppRoles).map(([userId, apps]) => [userId, normalizeAppRoles(apps)]));
+}
+
+// Группа: { id, name, members: [userId], roles: { <client_id>: [roles] } }
+function normalizeGroup(group) {
+  return {
+    ...group,
+    members: [...new Set(group.members || [])],
+    roles: normalizeAppRoles(group.roles),
+  };
+}
+
+export function createMemoryStore(initialData = {}, options = {}) {
+  const { onChange } = options;
+
+  const data = {
+    users: clone(initialData.users) || [],
+    applications: clone(initialData.applications) || [],
+    userAppRoles: normalizeUserAppRoles(clone(initialData.userAppRoles) || {}),
+    resourceServers: clone(initialData.resourceServers) || [],
+    groups: (clone(initialData.groups) || []).map(normalizeGroup),
+    consents: clone(initialData.consents) || [],
+  };
+
+  // Уведомляем подписчика об изменении данных (например, для сохранения на диск)
+  async function changed() {
+    if (onChange) {
+      await onChange(clone(data));
+    }
+  }
+
+  // ========== Пользователи ==========
+
+  async function listUsers() {
+    return clone(data.users);
+  }
+
+  async function findUserById(id) {
+    return clone(data.users.find(u => u.id === id)) || null;
+  }
+
+  async function createUser(user) {
+    if (!user?.id) {
+      throw storeError('invalid_request', 'User id is required');
+    }
+    if (data.users.some(u => u.id === user.id)) {
+      throw storeError('already_exists', `User ${user.id} already exists`);
+    }
+    data.users.push(clone(user));
+    await changed();
+    return clone(user);
+  }
+
+  async function updateUser(id, patch) {
+    const user = data.users.find(u => u.id === id);
+    if (!user) {
+      throw storeError('not_found', `User ${id} not found`);
+    }
+    applyPatch(user, patch);
+    user.id = id;
+    await changed();
+    return clone(user);
+  }
+
+  // ========== Приложения (clients) ==========
+
+  async function listApplications() {
+    return clone(data.applications);
+  }
+
+  async function findApplication(clientId) {
+    return clone(data.applications.find(a => a.client_id === clientId)) || null;
+  }
+
+  async function createApplication(application) {
+    if (!application?.client_id) {
+      throw storeError('invalid_request', 'Application client_id is required');
+    }
+    if (data.applications.some(a => a.client_id === application.client_id)) {
+      throw storeError('already_exists', `Application ${application.client_id} already exists`);
+    }
+    data.applications.push(clone(application));
+    await changed();
+    return clone(application);
+  }
+
+  async function updateApplication(clientId, patch) {
+    const application = data.applications.find(a => a.client_id === clientId);
+    if (!application) {
+      throw storeError('not_found', `Application ${clientId} not found`);
+    }
+    applyPatch(application, patch);
+    application.client_id = clientId;
+    await changed();
+    return clone(application);
+  }
+
+  // ========== Маппинг пользователь -> приложение -> роли ==========
+
+  async function getUserRoles(userId, clientId) {
+    return clone(data.userAppRoles[userId]?.[clientId]) || [];
+  }
+
+  async function getUserAppRoles(userId) {
+    return clone(data.userAppRoles[userId]) || {};
+  }
+
+  async function listUserAppRoles() {
+    return clone(data.userAppRoles);
+  }
+
+  // Замена списка ролей пользователя в приложении (пустой список удаляет доступ к приложению)
+  async function setUserRoles(userId, clientId, roles) {
+    const normalized = normalizeRoles(roles);
+    if (normalized.length === 0) {
+      await removeUserAppRoles(userId, clientId);
+      return;
+    }
+    data.userAppRoles[userId] = data.userAppRoles[userId] || {};
+    data.userAppRoles[userId][clientId] = normalized;
+    await changed();
+  }
+
+  async function removeUserAppRoles(userId, clientId) {
+    if (!data.userAppRoles[userId]?.[clientId]) {
+      return false;
+    }
+    delete data.userAppRoles[userId][clientId];
+    if (Object.keys(data.userAppRoles[userId]).length === 0) {
+      delete data.userAppRoles[userId];
+    }
+    await changed();
+    return true;
+  }
+
+  // ========== Группы: участники и роли группы в приложениях ==========
+
+  function requireGroup(id) {
+    const group = data.groups.find(g => g.id === id);
+    if (!group) {
+      throw storeError('not_found', `Group ${id} not found`);
+    }
+    return group;
+  }
+
+  async function listGroups() {
+    return clone(data.groups);
+  }
+
+  async function findGroup(id) {
+    return clone(data.groups.find(g => g.id === id)) || null;
+  }
+
+  async function createGroup(group) {
+    if (!group?.id) {
+      throw storeError('invalid_request', 'Group id is required');
+    }
+    if (data.groups.some(g => g.id === group.id)) {
+      throw storeError('already_exists', `Group ${group.id} already exists`);
+    }
+    const created = normalizeGroup(clone(group));
+    data.groups.push(created);
+    await changed();
+    return clone(created);
+  }
+
+  // Изменение имени и описания (участники и роли меняются отдельными методами)
+  async function updateGroup(id, patch) {
+    const group = requireGroup(id);
+    const { members, roles, ...rest } = patch || {};
+    applyPatch(group, rest);
+    group.id = id;
+    await changed();
+    return clone(group);
+  }
+
+  async function deleteGroup(id) {
+    const index = data.groups.findIndex(g => g.id === id);
+    if (index === -1) {
+      return false;
+    }
+    data.groups.splice(index, 1);
+    await changed();
+    return true;
+  }
+
+  // Группы, в которых состоит пользователь
+  async function listUserGroups(userId) {
+    return clone(data.groups.filter(g => g.members.includes(userId)));
+  }
+
+  async function addGroupMember(id, userId) {
+    const group = requireGroup(id);
+    if (group.members.includes(userId)) {
+      return false;
+    }
+    group.members.push(userId);
+    await changed();
+    return true;
+  }
+
+  async function removeGroupMember(id, userId) {
+    const group = requireGroup(id);
+    if (!group.members.includes(userId)) {
+      return false;
+    }
+    group.members = group.members.filter(member => member !== userId);
+    await changed();
+    return true;
+  }
+
+  // Замена ролей группы в приложении (пустой список удаляет роли группы в приложении)
+  async function setGroupRoles(id, clientId, roles) {
+    const group = requireGroup(id);
+    const normalized = normalizeRoles(roles);
+    if (normalized.length === 0) {
+      delete group.roles[clientId];
+    } else {
+      group.roles[clientId] = normalized;
+    }
+    await changed();
+  }
+
+  // ========== Resource servers (API, для которых выдаются access токены) ==========
+
+  async function listResourceServers() {
+    return clone(data.resourceServers);
+  }
+
+  async function findResourceServer(identifier) {
+    return clone(data.resourceServers.find(r => r.identifier === identifier)) || null;
+  }
+
+  // ========== Согласия пользователей (consent) сторонним приложениям ==========
+  // { user_id, client_id, scopes, claims, resource_scopes: { <resource>: [scopes] }, grant_ids, granted_at, updated_at }
+
+  async function listUserConsents(userId) {
+    return clone(data.consents.filter(c => c.user_id === userId));
+  }
+
+  async function findConsent(userId, clientId) {
+    return clone(data.consents.find(c => c.user_id === userId && c.client_id === clientId)) || null;
+  }
+
+  // Создание или замена согласия пользователя для приложения
+  async function saveConsent(consent) {
+    if (!consent?.user_id || !consent?.client_id) {
+      throw storeError('invalid_request', 'Consent user_id and client_id are required');
+    }
+    const saved = clone(consent);
+    const index = data.consents.findIndex(c => c.user_id === consent.user_id && c.client_id === consent.client_id);
+    if (index === -1) {
+      data.consents.push(saved);
+    } else {
+      data.consents[index] = saved;
+    }
+    await changed();
+    return clone(saved);
+  }
+
+  async function deleteConsent(userId, clientId) {
+    const index = data.consents.findIndex(c => c.user_id === userId && c.client_id === clientId);
+    if (index === -1) {
+      return false;
+    }
+    data.consents.splice(index, 1);
+    await changed();
+    return true;
+  }
+
+  return {
+    listUsers,
+    findUserById,
+    createUser,
+    updateUser,
+    listApplications,
+    findApplication,
+    createApplication,
+    updateApplication,
+    getUserRoles,
+    getUserAppRoles,
+    listUserAppRoles,
+    setUserRoles,
+    removeUserAppRoles,
+    listGroups,
+    findGroup,
+    createGroup,
+    updateGroup,
+    deleteGroup,
+    listUserGroups,
+    addGroupMember,
+    removeGroupMember,
+    setGroupRoles,
+    listResourceServers,
+    findResourceServer,
+    listUserConsents,
+    findConsent,
+    saveConsent,
+    deleteConsent,
+  };
+}
@@ -0,0 +1,152 @@
+// Адаптер хранилища для oidc-provider
+//
+// Клиенты (модель Client) читаются из хранилища приложений при каждом обращении provider,
+// поэтому новые приложения, смена секрета и redirect_url действуют без перезапуска.
+// Остальные модели (Session, Grant, AuthorizationCode, RefreshToken, Interaction, ...) хранятся
+// в хранилище временных записей (store/kv.js) с TTL, который задает provider:
+// при файловом драйвере сессии, коды и grant переживают перезапуск сервиса.
+
+function grantKeyFor(id) {
+  return `grant:${id}`;
+}
+
+function sessionUidKeyFor(id) {
+  return `sessionUid:${id}`;
+}
+
+function userCodeKeyFor(userCode) {
+  return `userCode:${userCode}`;
+}
+
+// Модели, которые отзываются вместе с grant (revokeByGrantId)
+const grantable = new Set([
+  'AccessToken',
+  'AuthorizationCode',
+  'RefreshToken',
+  'DeviceCode',
+  'BackchannelAuthenticationRequest',
+]);
+
+function epochTime() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function createClientAdapter(store, toClientMetadata) {
+  return {
+    async find(id) {
+      const application = await store.findApplication(id);
+      if (!application || application.disabled) {
+        return undefined;
+      }
+      return toClientMetadata(application);
+    },
+
+    // Регистрация и изменение клиентов выполняются через хранилище, а не через provider
+    async upsert() {},
+    async destroy() {},
+    async consume() {},
+    async findByUid() {
+      return undefined;
+    },
+    async findByUserCode() {
+      return undefined;
+    },
+    async revokeByGrantId() {},
+  };
+}
+
+// Адаптер модели provider поверх хранилища временных записей
+// Контракт: upsert, find, findByUid, findByUserCode, consume, destroy, revokeByGrantId
+function createModelAdapter(name, kv) {
+  const key = id => `${name}:${id}`;
+
+  async function find(id) {
+    if (!id) {
+      return undefined;
+    }
+    return kv.get(key(id));
+  }
+
+  return {
+    find,
+
+    async findByUid(uid) {
+      return find(await kv.get(sessionUidKeyFor(uid)));
+    },
+
+    async findByUserCode(userCode) {
+      return find(await kv.get(userCodeKeyFor(userCode)));
+    },
+
+    async upsert(id, payload, expiresIn) {
+      if (name === 'Session') {
+        await kv.set(sessionUidKeyFor(payload.uid), id, expiresIn);
+      }
+
+      // Список записей grant живет не меньше самой долгой из них
+      const { grantId, userCode } = payload;
+      if (grantable.has(name) && grantId) {
+        const grantKey = grantKeyFor(grantId);
+        const grant = await kv.get(grantKey) || { keys: [], exp: 0 };
+        if (!grant.keys.includes(key(id))) {
+          grant.keys.push(key(id));
+        }
+        grant.exp = expiresIn ? Math.max(grant.exp, epochTime() + expiresIn) : grant.exp;
+        await kv.set(grantKey, grant, grant.exp ? grant.exp - epochTime() : undefined);
+      }
+
+      if (userCode) {
+        await kv.set(userCodeKeyFor(userCode), id, expiresIn);
+      }
+
+      await kv.set(key(id), payload, expiresIn);
+    },
+
+    // Отметка об использовании (коды авторизации, refresh токены при ротации), TTL записи сохраняется
+    async consume(id) {
+      const payload = await find(id);
+      if (!payload) {
+        return;
+      }
+      payload.consumed = epochTime();
+      const ttl = payload.exp ? payload.exp - epochTime() : undefined;
+      if (ttl !== undefined && ttl <= 0) {
+        await kv.delete(key(id));
+        return;
+      }
+      await kv.set(key(id), payload, ttl);
+    },
+
+    async destroy(id) {
+      await kv.delete(key(id));
+    },
+
+    async revokeByGrantId(grantId) {
+      const grantKey = grantKeyFor(grantId);
+      const grant = await kv.get(grantKey);
+      if (grant) {
+        for (const entryKey of grant.keys) {
+          await kv.delete(entryKey);
+        }
+        await kv.delete(grantKey);
+      }
+    },
+  };
+}
+
+// Фабрика адаптеров для конфигурации provider (adapter: createOidcAdapter(...))
+// kv - хранилище временных записей (createKeyValueStore)
+export function createOidcAdapter(store, kv, toClientMetadata) {
+  const clientAdapter = createClientAdapter(store, toClientMetadata);
+  const adapters = new Map();
+
+  return (name) => {
+    if (name === 'Client') {
+      return clientAdapter;
+    }
+    if (!adapters.has(name)) {
+      adapters.set(name, createModelAdapter(name, kv));
+    }
+    return adapters.get(name);
+  };
+}
@@ -1,28 +1,172 @@
-import { Issuer } from 'openid-client';
-import { jwtVerify, createRemoteJWKSet } from 'jose';
+import crypto from 'crypto';
+import { jwtVerify } from 'jose';
+import { toLogger } from 'stork-logger';
+import { createMetricsRegistry } from 'stork-metrics';
+import { createMemoryTokenStore } from './stores/memory.js';
+import { createProviderResolver } from './provider.js';
+import { createRolePolicy, loadRolePolicy } from './policy.js';
+import { createValidationMetrics } from './metrics.js';
+
+export { createMemoryTokenStore } from './stores/memory.js';
+export { createRedisTokenStore } from './stores/redis.js';
+export { createRolePolicy } from './policy.js';
+
+// Типы токенов, которые принимает middleware
+// id_token     - ID токен приложения (audience = clientId, обязателен nonce)
+// access_token - JWT access token для API (audience = resource indicator, typ = at+jwt, scope)
+const TOKEN_TYPES = ['id_token', 'access_token'];
+
+// Режимы проверки отзыва токена
+// none     - только локальная проверка (подпись, exp, iss, aud) и завершенные сессии (back-channel logout)
+// denylist - дополнительно список отозванных токенов (jti/sid/sub), который присылает auth-service
+const REVOCATION_CHECKS = ['none', 'denylist'];
+
+function assertRevocationCheck(mode) {
+  if (!REVOCATION_CHECKS.includes(mode)) {
+    throw new Error(`createJWTMiddleware: unknown revocationCheck ${mode}, expected one of ${REVOCATION_CHECKS.join(', ')}`);
+  }
+}
+
+// Группы пользователя из claim groups (auth-service, роли через группы)
+function getTokenGroups(payload) {
+  return Array.isArray(payload.groups) ? payload.groups.filter(group => typeof group === 'string') : [];
+}
+
+// Роли из токена: roles (список) или role (одна роль, токены старых версий auth-service)
+function getTokenRoles(payload) {
+  if (Array.isArray(payload.roles)) {
+    return payload.roles.filter(role => typeof role === 'string');
+  }
+  return typeof payload.role === 'string' ? [payload.role] : [];
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Часть учетных данных HTTP Basic (form-urlencoding); null - неверное %-кодирование
+function decodeCredential(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
 
 // Функция-фабрика для создания JWT middleware с конфигурацией
 export function createJWTMiddleware(config) {
   const {
-    providerUrl,
+    providerUrl: serviceUrl,
+    // Область auth-service: токены выдает provider <providerUrl>/realms/<realm>
+    realm,
     clientId,
+    tokenType = 'id_token',
+    audience,
+    // Секрет приложения: им auth-service аутентифицирует отправку списка отозванных токенов
+    clientSecret,
+    // Режим проверки отзыва по умолчанию (для отдельных маршрутов - validateJWTWith)
+    revocationCheck = 'none',
+    // Сколько помнить завершенные сессии (не меньше срока жизни токенов)
+    logoutTtl = 60 * 60 * 1000,
+    // Сколько помнить отозванный токен, если auth-service не передал exp
+    revocationTtl = logoutTtl,
+    // Хранилище использованных ID токенов (replay cache): { get, set, delete, close }
+    // По умолчанию - LRU в памяти процесса; для нескольких экземпляров API - createRedisTokenStore
+    usedTokensStore,
+    // Размер LRU по умолчанию
+    usedTokensMaxEntries = 10000,
+    // Хранилище завершенных сессий (back-channel logout) и отозванных токенов (denylist) с тем же интерфейсом
+    // По умолчанию - LRU в памяти процесса (записи видит только этот экземпляр API);
+    // для нескольких экземпляров - общее хранилище, например createRedisTokenStore({ keyPrefix: 'jwt:revoked:' })
+    revocationStore,
+    // Размер LRU по умолчанию
+    revocationMaxEntries = 10000,
+    // Статические issuer и JWKS (без обращения к provider): issuer + jwks / jwksFile / jwksUri
+    issuer: staticIssuer,
+    jwks: staticJwks,
+    jwksFile,
+    jwksUri,
+    // Кеширование метаданных provider (мс): discovery, JWKS, минимальный интервал
+    // перезагрузки JWKS при неизвестном kid, повтор после ошибки, таймаут запроса
+    discoveryTtl,
+    jwksCacheMaxAge,
+    jwksCooldown,
+    retryDelay,
+    fetchTimeout,
+    // Политика ролей и разрешений API: объект { roles } или JSON-файл (см. policy.js)
+    policy: policyConfig,
+    policyFile,
+    // Логгер приложения (stork-logger или объект с debug/info/warn/error), по умолчанию - JSON в stdout/stderr
+    logger: injectedLogger,
+    // Реестр метрик приложения (stork-metrics), по умолчанию - свой; доступен как metrics в результате
+    metrics = createMetricsRegistry(),
   } = config;
 
-  if (!providerUrl || !clientId) {
+  // Секреты (токены, заголовки Authorization) в записи не попадают, см. stork-logger
+  const logger = toLogger(injectedLogger, { name: 'jwt-middleware' });
+  const validationMetrics = createValidationMetrics(metrics);
+
+  if (realm !== undefined && !/^[a-z0-9][a-z0-9-]{0,31}$/.test(realm)) {
+    throw new Error(`createJWTMiddleware: invalid realm ${realm}`);
+  }
+
+  const providerUrl = serviceUrl && realm ? `${serviceUrl.replace(/\/$/, '')}/realms/${realm}` : serviceUrl;
+
+  if (!TOKEN_TYPES.includes(tokenType)) {
+    throw new Error(`createJWTMiddleware: unknown tokenType ${tokenType}, expected one of ${TOKEN_TYPES.join(', ')}`);
+  }
+
+  if ((!providerUrl && !staticIssuer) || (tokenType === 'id_token' && !clientId)) {
     throw new Error('createJWTMiddleware requires providerUrl and clientId in config');
   }
 
-  // Получение или создание клиента для валидации
-  let issuer = null;
-  let client = null;
-  let jwks = null;
+  if (tokenType === 'access_token' && !audience) {
+    throw new Error('createJWTMiddleware requires audience (resource indicator) for access_token tokenType');
+  }
+
+  assertRevocationCheck(revocationCheck);
+
+  const isAccessToken = tokenType === 'access_token';
+  // Ожидаемый audience: resource indicator API или client_id приложения
+  const expectedAudience = isAccessToken ? audience : clientId;
+
+  // Issuer и ключи provider (кешируются, provider может быть недоступен при старте API)
+  const provider = createProviderResolver({
+    providerUrl,
+    issuer: staticIssuer,
+    jwks: staticJwks,
+    jwksFile,
+    jwksUri,
+    discoveryTtl,
+    jwksCacheMaxAge,
+    jwksCooldown,
+    retryDelay,
+    fetchTimeout,
+    logger,
+    onFetch: validationMetrics.recordFetch,
+  });
+  provider.warmUp();
+
+  // Без политики роли и разрешения берутся из токена как есть
+  const policy = policyConfig ? createRolePolicy(policyConfig) : (policyFile ? loadRolePolicy(policyFile) : null);
+
+  // Разрешения пользователя: по политике API или из claim permissions токена
+  function getPermissions(payload, roles) {
+    if (policy) {
+      return policy.resolvePermissions(roles);
+    }
+    return Array.isArray(payload.permissions) ? payload.permissions.filter(permission => typeof permission === 'string') : [];
+  }
 
   // Хранилище использованных токенов для предотвращения replay-атак
-  // В продакшене использовать Redis или БД с TTL
-  // Ключ - комбинация nonce + sub + iat (уникальная для каждого токена), значение - { timestamp: время использования, timeout: таймер для автоудаления }
-  const usedTokens = new Map();
+  // Ключ - комбинация nonce + sub + iat (уникальная для каждого токена), значение - { timestamp: время использования }
+  // Записи удаляются самим хранилищем по TTL; хранилище, созданное здесь, закрывается в close()
+  const ownsUsedTokensStore = !usedTokensStore;
+  const usedTokens = usedTokensStore || createMemoryTokenStore({ maxEntries: usedTokensMaxEntries });
 
-  // TTL для токенов (равен сроку действия токена, обычно 1 час)
+  // TTL для токенов без exp (обычно срок действия токена - 1 час)
   const TOKEN_TTL = 60 * 60 * 1000; // 1 час в миллисекундах
 
   // Функция для создания уникального ключа для токена
@@ -30,136 +174,146 @@ export function createJWTMiddleware(config) {
     return `${nonce}:${sub}:${iat}`;
   }
 
-  // Функция для удаления токена по таймауту
-  function scheduleTokenDeletion(tokenKey) {
-    const timeout = setTimeout(() => {
-      usedTokens.delete(tokenKey);
-      console.log(`Token key auto-deleted after TTL: ${tokenKey.substring(0, 20)}...`);
-    }, TOKEN_TTL);
-    
-    return timeout;
+  // Завершенные сессии (back-channel logout) и отозванные токены (denylist), присланные auth-service
+  // Ключи: logout:sid:<sid>, logout:sub:<sub> (logout token без sid) - значение { logoutAt: iat logout token в секундах };
+  // revoked:jti:<jti>, revoked:sid:<sid>, revoked:sub:<sub> - значение { revokedAt: момент отзыва в секундах }
+  // Записи удаляются самим хранилищем по TTL; хранилище, созданное здесь, закрывается в close()
+  const ownsRevocationStore = !revocationStore;
+  const revocations = revocationStore || createMemoryTokenStore({ maxEntries: revocationMaxEntries });
+
+  // Запись о завершении сессии (по sid) или всех сессий пользователя (по sub, если sid не передан)
+  function terminateSession({ sid, sub, iat }) {
+    return revocations.set(sid ? `logout:sid:${sid}` : `logout:sub:${sub}`, { logoutAt: iat }, logoutTtl);
   }
 
-  // Периодическая очистка старых токенов (на случай, если таймеры не сработали)
-  // Очистка каждые 5 минут
-  setInterval(() => {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [tokenKey, data] of usedTokens.entries()) {
-      if (now - data.timestamp > TOKEN_TTL) {
-        // Очищаем таймер, если он еще не сработал
-        if (data.timeout) {
-          clearTimeout(data.timeout);
-        }
-        usedTokens.delete(tokenKey);
-        cleaned++;
-      }
-    }
-    
-    if (cleaned > 0) {
-      console.log(`Cleaned up ${cleaned} expired token keys`);
+  // Токен выдан в завершенной сессии (по sid) или до выхода пользователя (по sub, если sid не передан)
+  async function isSessionTerminated(payload) {
+    const [sidLogout, subLogout] = await Promise.all([
+      payload.sid ? revocations.get(`logout:sid:${payload.sid}`) : null,
+      payload.sub ? revocations.get(`logout:sub:${payload.sub}`) : null,
+    ]);
+    return !!sidLogout || (!!subLogout && (!payload.iat || payload.iat <= subLogout.logoutAt));
+  }
+
+  // Запись denylist: ровно один из jti, sid, sub; null - запись неверная
+  function parseRevocation(entry = {}) {
+    const keys = ['jti', 'sid', 'sub'].filter(key => typeof entry?.[key] === 'string' && entry[key]);
+    if (keys.length !== 1) {
+      return null;
     }
-  }, 5 * 60 * 1000); // Каждые 5 минут
-
-  async function getClient() {
-    if (!issuer) {
-      issuer = await Issuer.discover(providerUrl);
-      // Для валидации токенов не нужен client_secret, так как мы только проверяем подпись
-      client = new issuer.Client({
-        client_id: clientId,
-      });
-    
-      // Создаем JWKS endpoint для валидации подписи
-      // JWKS endpoint берем из discovery (обычно /jwks для oidc-provider)
-      const jwksUri = issuer.metadata.jwks_uri || new URL('/jwks', issuer.issuer).href;
-      console.log('JWKS endpoint URL:', jwksUri);
-      
-      // Проверяем доступность JWKS endpoint
-      try {
-        const testResponse = await fetch(jwksUri);
-        if (!testResponse.ok) {
-          console.error('JWKS endpoint not available:', testResponse.status, testResponse.statusText);
-          throw new Error(`JWKS endpoint returned ${testResponse.status}: ${testResponse.statusText}`);
-        }
-        const jwksData = await testResponse.json();
-        console.log('JWKS endpoint accessible, keys count:', jwksData.keys?.length || 0);
-      } catch (fetchError) {
-        console.error('Failed to fetch JWKS endpoint:', fetchError.message);
-        throw fetchError;
-      }
-      
-      jwks = createRemoteJWKSet(new URL(jwksUri));
-      console.log('JWKS endpoint configured successfully');
+    const now = Date.now();
+    const exp = Number(entry.exp);
+    const revokedAt = Number(entry.revoked_at);
+    return {
+      key: `revoked:${keys[0]}:${entry[keys[0]]}`,
+      revokedAt: Number.isFinite(revokedAt) && revokedAt > 0 ? revokedAt : Math.floor(now / 1000),
+      ttl: Number.isFinite(exp) && exp * 1000 > now ? exp * 1000 - now : revocationTtl,
+    };
+  }
+
+  // Добавление записи в denylist: ровно один из jti, sid, sub
+  // revoked_at - для sub отклоняются токены, выданные не позже этого момента (секунды)
+  // exp - до какого момента (секунды) помнить запись
+  // Возвращает false для неверной записи; ошибка хранилища выбрасывается
+  async function revoke(entry = {}) {
+    const revocation = parseRevocation(entry);
+    if (!revocation) {
+      return false;
     }
-    return { issuer, client, jwks };
+    await revocations.set(revocation.key, { revokedAt: revocation.revokedAt }, revocation.ttl);
+    return true;
+  }
+
+  // Токен отозван по jti, по сессии (sid) или выдан пользователю до отзыва (sub)
+  async function isRevoked(payload) {
+    const [jtiRevocation, sidRevocation, subRevocation] = await Promise.all([
+      payload.jti ? revocations.get(`revoked:jti:${payload.jti}`) : null,
+      payload.sid ? revocations.get(`revoked:sid:${payload.sid}`) : null,
+      payload.sub ? revocations.get(`revoked:sub:${payload.sub}`) : null,
+    ]);
+    return !!jtiRevocation || !!sidRevocation
+      || (!!subRevocation && (!payload.iat || payload.iat <= subRevocation.revokedAt));
+  }
+
+  // Логгер запроса: записи связаны идентификатором запроса (req.id, см. createRequestContext в stork-logger)
+  function getRequestLogger(req) {
+    return req.id ? logger.child({ requestId: req.id }) : logger;
   }
 
-  // Middleware для валидации JWT
-  const validateJWT = async (req, res, next) => {
+  // Provider недоступен и ключей в кеше нет - это не ошибка токена
+  function sendProviderUnavailable(req, res, error) {
+    getRequestLogger(req).error('JWT validation: Provider unavailable', { message: error.message });
+    return res.status(503).json({
+      error: 'temporarily_unavailable',
+      message: 'Identity provider is not available',
+    });
+  }
+
+  // Валидация JWT с заданным режимом проверки отзыва
+  const validateRequest = async (req, res, next, mode) => {
+    const log = getRequestLogger(req);
+    // Результат проверки (valid или код ошибки ответа) и ее время - в метрики
+    const finishValidation = validationMetrics.startValidation();
+    const reject = (status, body, result = body.error) => {
+      finishValidation(result);
+      return res.status(status).json(body);
+    };
+    const providerUnavailable = (error) => {
+      finishValidation('provider_unavailable');
+      return sendProviderUnavailable(req, res, error);
+    };
     try {
       // Получаем JWT из Authorization header
       const authHeader = req.headers.authorization;
       
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        console.log('JWT validation: No Authorization header', {
+        log.debug('JWT validation: No Authorization header', {
           hasHeader: !!authHeader,
-          headerStart: authHeader?.substring(0, 20),
-          url: req.url,
+          url: req.originalUrl,
           method: req.method,
         });
         // Нет токена - возвращаем 401
-        return res.status(401).json({
+        return reject(401, {
           error: 'unauthorized',
           message: 'JWT token required',
-        });
+        }, 'missing_token');
       }
       
       const token = authHeader.replace('Bearer ', '');
       
       if (!token) {
-        console.log('JWT validation: Empty token after Bearer prefix removal', {
-          authHeader: authHeader.substring(0, 50),
-        });
-        return res.status(401).json({
+        log.debug('JWT validation: Empty token after Bearer prefix removal');
+        return reject(401, {
           error: 'unauthorized',
           message: 'JWT token required',
-        });
+        }, 'missing_token');
       }
       
-      console.log('JWT validation: Token received', {
-        tokenLength: token.length,
-        tokenStart: token.substring(0, 20) + '...',
-        url: req.url,
-      });
-      
-      const { issuer: issuerObj } = await getClient();
+
+      let expectedIssuer;
+      try {
+        expectedIssuer = await provider.getIssuer();
+      } catch (providerError) {
+        return providerUnavailable(providerError);
+      }
       
       // Проверка базового формата JWT (3 части: header.payload.signature)
       const parts = token.split('.');
       if (parts.length !== 3) {
-        console.log('JWT validation: Invalid format, parts:', parts.length);
-        return res.status(401).json({
+        log.info('JWT validation: Invalid format', { parts: parts.length });
+        return reject(401, {
           error: 'invalid_token',
           message: 'Invalid JWT format',
         });
       }
       
-      // Декодируем payload только для логирования (проверка будет через jwtVerify)
+      // Декодируем payload для быстрых проверок (проверка подписи будет через jwtVerify)
       let payload;
       try {
         payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
-        console.log('JWT validation: Token payload (before JWKS verification):', {
-          sub: payload.sub,
-          aud: payload.aud,
-          iss: payload.iss,
-          exp: payload.exp,
-          iat: payload.iat,
-          role: payload.role,
-        });
       } catch (decodeError) {
-        console.error('JWT validation: Failed to decode payload:', decodeError.message);
-        return res.status(401).json({
+        log.info('JWT validation: Failed to decode payload', { message: decodeError.message });
+        return reject(401, {
           error: 'invalid_token',
           message: 'Failed to decode JWT payload',
         });
@@ -167,23 +321,23 @@ export function createJWTMiddleware(config) {
       
       // Проверка срока действия (быстрая проверка перед JWKS)
       if (payload.exp && payload.exp * 1000 < Date.now()) {
-        console.log('JWT validation: Token expired', {
+        log.info('JWT validation: Token expired', {
+          sub: payload.sub,
           exp: new Date(payload.exp * 1000).toISOString(),
-          now: new Date().toISOString(),
         });
-        return res.status(401).json({
+        return reject(401, {
           error: 'token_expired',
           message: 'JWT token has expired',
         });
       }
       
       // Проверка issuer (быстрая проверка перед JWKS)
-      if (payload.iss !== issuerObj.issuer) {
-        console.log('JWT validation: Invalid issuer', {
+      if (payload.iss !== expectedIssuer) {
+        log.warn('JWT validation: Invalid issuer', {
           token_iss: payload.iss,
-          expected_iss: issuerObj.issuer,
+          expected_iss: expectedIssuer,
         });
-        return res.status(401).json({
+        return reject(401, {
           error: 'invalid_issuer',
           message: 'Invalid token issuer',
         });
@@ -191,53 +345,114 @@ export function createJWTMiddleware(config) {
       
       // Проверка audience (быстрая проверка перед JWKS)
       const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
-      if (!aud.includes(clientId)) {
-        console.log('JWT validation: Invalid audience', {
+      if (!aud.includes(expectedAudience)) {
+        log.warn('JWT validation: Invalid audience', {
           token_aud: aud,
-          expected_aud: clientId,
+          expected_aud: expectedAudience,
         });
-        return res.status(401).json({
+        return reject(401, {
           error: 'invalid_audience',
-          message: `Token not issued for this client. Audience: ${JSON.stringify(aud)}`,
+          message: `Token not issued for this ${isAccessToken ? 'API' : 'client'}. Audience: ${JSON.stringify(aud)}`,
         });
       }
       
       // Валидация подписи через JWKS
-      const { issuer: issuerObj2, jwks: jwksSet } = await getClient();
-      
       let verifiedPayload;
       try {
         // Валидируем подпись токена используя JWKS
         // jwtVerify автоматически:
-        // 1. Получает ключи из JWKS endpoint
+        // 1. Получает ключи из кеша JWKS (при неизвестном kid кеш обновляется)
         // 2. Находит правильный ключ по kid из header токена
         // 3. Проверяет подпись
         // 4. Проверяет exp, nbf, iss, aud (если указаны в options)
-        const result = await jwtVerify(token, jwksSet, {
-          issuer: issuerObj2.issuer,
-          audience: clientId,
+        // 5. Для access token проверяет typ = at+jwt (RFC 9068), чтобы ID токен нельзя было выдать за access token
+        const result = await jwtVerify(token, provider.getKey, {
+          issuer: expectedIssuer,
+          audience: expectedAudience,
+          ...(isAccessToken ? { typ: 'at+jwt' } : {}),
         });
         
         verifiedPayload = result.payload;
-        console.log('JWT validation: Token signature validated successfully via JWKS');
       } catch (jwtVerifyError) {
-        console.error('JWT validation: Signature verification failed:', jwtVerifyError.message);
-        console.error('JWT validation: Error details:', {
-          name: jwtVerifyError.name,
+        if (jwtVerifyError.code === 'provider_unavailable') {
+          return providerUnavailable(jwtVerifyError);
+        }
+        log.warn('JWT validation: Signature verification failed', {
+          sub: payload.sub,
           code: jwtVerifyError.code,
           message: jwtVerifyError.message,
         });
-        return res.status(401).json({
+        return reject(401, {
           error: 'invalid_signature',
           message: 'JWT signature validation failed',
           details: jwtVerifyError.message,
         });
       }
       
+      // Завершенные сессии и отозванные токены: хранилище может быть общим (Redis) и недоступным
+      let terminated;
+      let revoked;
+      try {
+        terminated = await isSessionTerminated(verifiedPayload);
+        revoked = mode === 'denylist' && !terminated && await isRevoked(verifiedPayload);
+      } catch (storeError) {
+        log.error('JWT validation: Revocation store error', { message: storeError.message });
+        return reject(503, {
+          error: 'temporarily_unavailable',
+          message: 'Token revocation store is not available',
+        }, 'store_unavailable');
+      }
+
+      // Сессия, в которой выдан токен, завершена (back-channel logout)
+      if (terminated) {
+        log.info('JWT validation: Session terminated', {
+          sid: verifiedPayload.sid,
+          sub: verifiedPayload.sub,
+        });
+        return reject(401, {
+          error: 'session_terminated',
+          message: 'Session has been terminated',
+        });
+      }
+      
+      // Токен отозван (denylist от auth-service)
+      if (revoked) {
+        log.info('JWT validation: Token revoked', {
+          jti: verifiedPayload.jti,
+          sid: verifiedPayload.sid,
+          sub: verifiedPayload.sub,
+        });
+        return reject(401, {
+          error: 'token_revoked',
+          message: 'Token has been revoked',
+        });
+      }
+      
+      // Access token: nonce и защита от replay не применяются (токен выдается без nonce)
+      if (isAccessToken) {
+        const roles = getTokenRoles(verifiedPayload);
+        req.user = {
+          sub: verifiedPayload.sub,
+          name: verifiedPayload.name,
+          email: verifiedPayload.email,
+          role: roles[0], // Первая роль пользователя в приложении, которому выдан токен
+          roles,
+          permissions: getPermissions(verifiedPayload, roles),
+          groups: getTokenGroups(verifiedPayload),
+          scopes: typeof verifiedPayload.scope === 'string' ? verifiedPayload.scope.split(' ').filter(Boolean) : [],
+          clientId: verifiedPayload.client_id,
+        };
+        
+        req.token = token;
+        log.debug('JWT validation: Access token accepted', { sub: req.user.sub, clientId: req.user.clientId, roles });
+        finishValidation('valid');
+        return next();
+      }
+      
       // Валидация nonce для защиты от replay-атак
       if (!verifiedPayload.nonce) {
-        console.log('JWT validation: Missing nonce in token');
-        return res.status(401).json({
+        log.info('JWT validation: Missing nonce in token', { sub: verifiedPayload.sub });
+        return reject(401, {
           error: 'invalid_nonce',
           message: 'Nonce is required in ID Token',
         });
@@ -245,8 +460,8 @@ export function createJWTMiddleware(config) {
       
       // Проверка формата nonce (должен быть непустой строкой)
       if (typeof verifiedPayload.nonce !== 'string' || verifiedPayload.nonce.length === 0) {
-        console.log('JWT validation: Invalid nonce format');
-        return res.status(401).json({
+        log.info('JWT validation: Invalid nonce format', { sub: verifiedPayload.sub });
+        return reject(401, {
           error: 'invalid_nonce',
           message: 'Invalid nonce format in ID Token',
         });
@@ -256,58 +471,200 @@ export function createJWTMiddleware(config) {
       // Создаем уникальный ключ для токена: nonce + sub + iat
       // Это позволяет одному токену использоваться многократно, но предотвращает использование поддельных токенов
       const tokenKey = getTokenKey(verifiedPayload.nonce, verifiedPayload.sub, verifiedPayload.iat);
-      const existingToken = usedTokens.get(tokenKey);
-      
-      if (existingToken) {
-        // Токен уже использовался - проверяем, не истек ли срок
-        const now = Date.now();
-        if (now - existingToken.timestamp < TOKEN_TTL) {
+      let existingToken;
+      try {
+        existingToken = await usedTokens.get(tokenKey);
+        
+        if (existingToken) {
           // Токен использовался недавно - это нормально, разрешаем повторное использование
           // (один токен может использоваться многократно в течение срока действия)
-          console.log('JWT validation: Token reused (same nonce+sub+iat), allowing');
+          log.debug('JWT validation: Token reused (same nonce+sub+iat), allowing');
         } else {
-          // Токен истек, удаляем его
-          if (existingToken.timeout) {
-            clearTimeout(existingToken.timeout);
-          }
-          usedTokens.delete(tokenKey);
-          console.log('JWT validation: Expired token key removed, allowing reuse');
+          // Новый токен: храним до истечения его срока действия
+          const ttl = verifiedPayload.exp ? verifiedPayload.exp * 1000 - Date.now() : TOKEN_TTL;
+          await usedTokens.set(tokenKey, { timestamp: Date.now() }, ttl);
+          log.debug('JWT validation: Token validated and marked as used (until token expiration)');
         }
-      }
-      
-      // Если токен новый или истекший был удален, сохраняем его
-      if (!usedTokens.has(tokenKey)) {
-        const timeout = scheduleTokenDeletion(tokenKey);
-        usedTokens.set(tokenKey, {
-          timestamp: Date.now(),
-          timeout: timeout,
-        });
-        console.log('JWT validation: Token validated and marked as used (will auto-delete in 1 hour)');
+      } catch (storeError) {
+        // Хранилище недоступно - это не ошибка токена, клиенту не нужно заново логиниться
+        log.error('JWT validation: Used tokens store error', { message: storeError.message });
+        return reject(503, {
+          error: 'temporarily_unavailable',
+          message: 'Token replay cache is not available',
+        }, 'store_unavailable');
       }
       
       // Используем payload из валидированного токена
       // Это гарантирует, что токен не был подделан
       // jwtVerify уже проверил exp, iss, aud, nonce проверен выше
+      const roles = getTokenRoles(verifiedPayload);
       req.user = {
         sub: verifiedPayload.sub,
         name: verifiedPayload.name,
         email: verifiedPayload.email,
-        role: verifiedPayload.role, // Роль пользователя для этого приложения
+        role: roles[0], // Первая роль пользователя для этого приложения
+        roles,
+        permissions: getPermissions(verifiedPayload, roles),
+        groups: getTokenGroups(verifiedPayload),
+        scopes: [], // ID токен не содержит scope для API
       };
       
       req.token = token;
-      console.log('JWT validation: Success, user:', req.user);
+      log.debug('JWT validation: Success', { sub: req.user.sub, roles });
+      finishValidation('valid');
       next();
     } catch (error) {
-      console.error('JWT validation error:', error);
-      return res.status(401).json({
+      log.error('JWT validation error', error);
+      return reject(401, {
         error: 'validation_error',
         message: error.message,
       });
     }
   };
 
-  // Middleware для проверки роли
+  // Middleware для валидации JWT (режим проверки отзыва из конфигурации)
+  const validateJWT = (req, res, next) => validateRequest(req, res, next, revocationCheck);
+
+  // Middleware для валидации JWT с собственным режимом проверки отзыва для отдельных маршрутов
+  // Например: validateJWTWith({ revocationCheck: 'denylist' })
+  const validateJWTWith = (options = {}) => {
+    const mode = options.revocationCheck ?? revocationCheck;
+    assertRevocationCheck(mode);
+    return (req, res, next) => validateRequest(req, res, next, mode);
+  };
+
+  // Endpoint для back-channel logout (OpenID Connect Back-Channel Logout 1.0)
+  // Provider отправляет POST с logout_token (application/x-www-form-urlencoded), нужен express.urlencoded()
+  // После проверки logout token токены с его sid (или sub) отклоняются в validateJWT
+  const handleBackchannelLogout = async (req, res) => {
+    const log = getRequestLogger(req);
+    res.set('Cache-Control', 'no-store');
+    
+    const logoutToken = req.body?.logout_token;
+    if (!logoutToken) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'logout_token is required',
+      });
+    }
+    
+    if (!clientId) {
+      log.error('Back-channel logout: clientId is not configured');
+      return res.status(501).json({
+        error: 'not_supported',
+        message: 'Back-channel logout requires clientId in middleware config',
+      });
+    }
+    
+    let claims;
+    try {
+      // Logout token выдается для приложения (aud = client_id), а не для API
+      const result = await jwtVerify(logoutToken, provider.getKey, {
+        issuer: await provider.getIssuer(),
+        audience: clientId,
+        typ: 'logout+jwt',
+        maxTokenAge: '5m',
+      });
+      claims = result.payload;
+    } catch (error) {
+      if (error.code === 'provider_unavailable') {
+        return sendProviderUnavailable(req, res, error);
+      }
+      log.warn('Back-channel logout: Invalid logout token', { message: error.message });
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'Invalid logout token',
+      });
+    }
+    
+    const events = claims.events || {};
+    if (!events['http://schemas.openid.net/event/backchannel-logout'] || claims.nonce !== undefined || (!claims.sid && !claims.sub)) {
+      log.warn('Back-channel logout: Logout token claims are invalid', { sid: claims.sid, sub: claims.sub });
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'Invalid logout token claims',
+      });
+    }
+    
+    try {
+      await terminateSession(claims);
+    } catch (storeError) {
+      log.error('Back-channel logout: Revocation store error', { message: storeError.message });
+      return res.status(503).json({
+        error: 'temporarily_unavailable',
+        message: 'Token revocation store is not available',
+      });
+    }
+    
+    log.info('Back-channel logout: Session terminated', { sid: claims.sid, sub: claims.sub });
+    res.status(200).end();
+  };
+
+  // Endpoint, через который auth-service присылает отозванные токены (application/json, нужен express.json())
+  // Тело: { revoked: [{ jti | sid | sub, revoked_at?, exp? }] }, аутентификация - HTTP Basic с clientId и clientSecret
+  const handleRevocationPush = async (req, res) => {
+    const log = getRequestLogger(req);
+    res.set('Cache-Control', 'no-store');
+    
+    if (!clientId || !clientSecret) {
+      log.error('Revocation push: clientId and clientSecret are not configured');
+      return res.status(501).json({
+        error: 'not_supported',
+        message: 'Revocation push requires clientId and clientSecret in middleware config',
+      });
+    }
+    
+    const header = req.headers.authorization || '';
+    const decoded = header.startsWith('Basic ') ? Buffer.from(header.slice(6), 'base64').toString() : '';
+    const separator = decoded.indexOf(':');
+    const requestClientId = separator > 0 ? decodeCredential(decoded.slice(0, separator)) : null;
+    const requestSecret = separator > 0 ? decodeCredential(decoded.slice(separator + 1)) : null;
+    if (requestClientId === null
+      || requestSecret === null
+      || !safeEqual(requestClientId, clientId)
+      || !safeEqual(requestSecret, clientSecret)) {
+      res.set('WWW-Authenticate', 'Basic realm="revocations"');
+      return res.status(401).json({
+        error: 'invalid_client',
+        message: 'Invalid client credentials',
+      });
+    }
+    
+    const entries = req.body?.revoked;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'revoked must be a non-empty array',
+      });
+    }
+    
+    // Список принимается целиком: неверная запись отклоняет весь запрос
+    const invalid = entries.filter(entry => !parseRevocation(entry));
+    if (invalid.length > 0) {
+      log.warn('Revocation push: Invalid entries', { count: invalid.length });
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'Each entry must contain exactly one of jti, sid or sub',
+      });
+    }
+    
+    try {
+      await Promise.all(entries.map(entry => revoke(entry)));
+    } catch (storeError) {
+      // auth-service получает 503 и записывает сбой доставки в свой лог
+      log.error('Revocation push: Revocation store error', { message: storeError.message });
+      return res.status(503).json({
+        error: 'temporarily_unavailable',
+        message: 'Token revocation store is not available',
+      });
+    }
+    
+    log.info('Revocation push: Tokens revoked', { count: entries.length });
+    res.json({ accepted: entries.length });
+  };
+
+  // Middleware для проверки роли (достаточно одной из перечисленных)
+  // С политикой учитываются унаследованные роли: requireRole('user') пропускает admin
   const requireRole = (...allowedRoles) => {
     return (req, res, next) => {
       if (!req.user) {
@@ -317,17 +674,69 @@ export function createJWTMiddleware(config) {
         });
       }
       
-      if (!req.user.role) {
+      const userRoles = req.user.roles || (req.user.role ? [req.user.role] : []);
+      if (userRoles.length === 0) {
         return res.status(403).json({
           error: 'forbidden',
           message: 'User role not found in token',
         });
       }
       
-      if (!allowedRoles.includes(req.user.role)) {
+      const effectiveRoles = policy ? policy.expandRoles(userRoles) : userRoles;
+      if (!allowedRoles.some(role => effectiveRoles.includes(role))) {
+        return res.status(403).json({
+          error: 'forbidden',
+          message: `Access denied. Required roles: ${allowedRoles.join(', ')}. User roles: ${userRoles.join(', ')}`,
+        });
+      }
+      
+      next();
+    };
+  };
+
+  // Middleware для проверки разрешений пользователя (нужны все перечисленные)
+  // Разрешения - из политики API по ролям токена или из claim permissions
+  const requirePermission = (...requiredPermissions) => {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'unauthorized',
+          message: 'User not authenticated',
+        });
+      }
+      
+      const granted = new Set(req.user.permissions || []);
+      const missing = requiredPermissions.filter(permission => !granted.has(permission));
+      
+      if (missing.length > 0) {
         return res.status(403).json({
           error: 'forbidden',
-          message: `Access denied. Required roles: ${allowedRoles.join(', ')}. User role: ${req.user.role}`,
+          message: `Access denied. Required permissions: ${requiredPermissions.join(', ')}. Missing: ${missing.join(', ')}`,
+        });
+      }
+      
+      next();
+    };
+  };
+
+  // Middleware для проверки scope access token (нужны все перечисленные scope)
+  const requireScope = (...requiredScopes) => {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'unauthorized',
+          message: 'User not authenticated',
+        });
+      }
+      
+      const granted = new Set(req.user.scopes || []);
+      const missing = requiredScopes.filter(scope => !granted.has(scope));
+      
+      if (missing.length > 0) {
+        res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${requiredScopes.join(' ')}"`);
+        return res.status(403).json({
+          error: 'insufficient_scope',
+          message: `Access denied. Required scopes: ${requiredScopes.join(', ')}. Missing: ${missing.join(', ')}`,
         });
       }
       
@@ -335,9 +744,33 @@ export function createJWTMiddleware(config) {
     };
   };
 
+  // Готовность к проверке токенов (для health/readiness endpoint):
+  // { ready, mode, discovery?, jwks: { loaded, loadedAt, error, keys } }
+  const checkReady = () => provider.checkReady();
+
+  // Закрытие хранилищ использованных токенов и отзыва, созданных middleware
+  // (для тестов и graceful shutdown; переданные в usedTokensStore и revocationStore хранилища закрывает вызывающий код)
+  async function close() {
+    if (ownsUsedTokensStore) {
+      await usedTokens.close();
+    }
+    if (ownsRevocationStore) {
+      await revocations.close();
+    }
+  }
+
   // Возвращаем объект с middleware
   return {
     validateJWT,
+    validateJWTWith,
     requireRole,
+    requirePermission,
+    requireScope,
+    handleBackchannelLogout,
+    handleRevocationPush,
+    revoke,
+    checkReady,
+    close,
+    metrics,
   };
 }
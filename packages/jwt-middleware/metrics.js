@@ -0,0 +1,46 @@
+// Метрики проверки токенов (stork-metrics)
+//
+//   jwt_validations_total{result}                        - результат проверки: valid или код ошибки ответа
+//                                                          (token_expired, invalid_audience, invalid_signature ...)
+//   jwt_validation_duration_seconds{result}              - время проверки токена
+//   jwt_provider_fetch_duration_seconds{resource,outcome} - загрузка discovery и JWKS (success / failure)
+
+// Проверка токена обычно быстрая (ключи в кеше), долгая - когда ждет загрузку JWKS
+const VALIDATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+export function createValidationMetrics(registry) {
+  const validations = registry.counter({
+    name: 'jwt_validations_total',
+    help: 'JWT validations by result (valid or error code)',
+    labelNames: ['result'],
+  });
+  const validationDuration = registry.histogram({
+    name: 'jwt_validation_duration_seconds',
+    help: 'JWT validation duration in seconds',
+    labelNames: ['result'],
+    buckets: VALIDATION_BUCKETS,
+  });
+  const fetchDuration = registry.histogram({
+    name: 'jwt_provider_fetch_duration_seconds',
+    help: 'Provider discovery and JWKS fetch duration in seconds',
+    labelNames: ['resource', 'outcome'],
+  });
+
+  // Начало проверки: возвращает функцию, которая записывает результат и время
+  function startValidation() {
+    const endTimer = validationDuration.startTimer();
+    return (result) => {
+      validations.inc({ result });
+      endTimer({ result });
+    };
+  }
+
+  function recordFetch(resource, outcome, seconds) {
+    fetchDuration.observe({ resource, outcome }, seconds);
+  }
+
+  return {
+    startValidation,
+    recordFetch,
+  };
+}
@@ -0,0 +1,46 @@
+// Политика ролей и разрешений API
+//
+// Роль - набор разрешений и унаследованных ролей, формат совпадает с описанием ролей
+// resource server в auth-service:
+//   {
+//     "roles": {
+//       "viewer": { "permissions": ["data:read"] },
+//       "user":   { "inherits": ["viewer"], "permissions": ["data:write"] },
+//       "admin":  { "inherits": ["user"], "permissions": ["admin"] }
+//     }
+//   }
+// С политикой requireRole('user') пропускает и admin, а разрешения для requirePermission
+// вычисляются по ролям токена. Без политики используются роли и разрешения из токена как есть.
+// Наследование и разрешения вычисляет общий пакет stork-roles (тот же, что в auth-service).
+
+import fs from 'fs';
+import { createRolePolicy as createSharedRolePolicy } from 'stork-roles';
+
+function policyError(message) {
+  return new Error(`createJWTMiddleware: ${message}`);
+}
+
+// Политика { roles } в формате stork-roles; ошибка описания ролей - ошибка конфигурации middleware
+export function createRolePolicy(policy) {
+  const definitions = policy?.roles;
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw policyError('policy must contain roles object keyed by role name');
+  }
+
+  try {
+    return createSharedRolePolicy(definitions);
+  } catch (error) {
+    throw policyError(`policy ${error.message}`);
+  }
+}
+
+// Политика из JSON-файла (читается один раз при создании middleware)
+export function loadRolePolicy(filePath) {
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw policyError(`failed to read policy file ${filePath}: ${error.message}`);
+  }
+  return createRolePolicy(policy);
+}
@@ -0,0 +1,246 @@
+// Метаданные provider (issuer, JWKS) для проверки токенов
+//
+// Discovery и JWKS кешируются: устаревшее значение продолжает использоваться, пока в фоне
+// загружается новое (stale-while-revalidate), поэтому кратковременная недоступность provider
+// не ломает проверку токенов. Неизвестный kid (ротация ключей) запускает перезагрузку JWKS,
+// но не чаще jwksCooldown, а после ошибки загрузки повтор выполняется не чаще retryDelay.
+// Для изолированных сред issuer и JWKS можно задать статически (jwks или jwksFile) - тогда
+// provider не запрашивается вовсе.
+
+import fs from 'fs/promises';
+import { Issuer } from 'openid-client';
+import { createLocalJWKSet } from 'jose';
+
+// Ошибка получения метаданных provider: не означает, что токен невалидный
+function unavailableError(message, cause) {
+  const error = new Error(message);
+  error.code = 'provider_unavailable';
+  error.cause = cause;
+  return error;
+}
+
+// Кеш с TTL для асинхронно загружаемого значения
+// Параллельные запросы ждут одну загрузку, повторная загрузка - не чаще minInterval
+// onFetch(outcome, seconds) - время каждой загрузки (метрики)
+function createCachedLoader(name, load, { ttl, minInterval, logger, onFetch = () => {} }) {
+  let value;
+  let loadedAt = 0;
+  let attemptAt = 0;
+  let pending = null;
+  let lastError = null;
+
+  function refresh() {
+    if (!pending) {
+      attemptAt = Date.now();
+      const startedAt = performance.now();
+      const elapsed = () => (performance.now() - startedAt) / 1000;
+      pending = load()
+        .then((loaded) => {
+          value = loaded;
+          loadedAt = Date.now();
+          lastError = null;
+          onFetch('success', elapsed());
+          return loaded;
+        })
+        .catch((error) => {
+          lastError = error;
+          onFetch('failure', elapsed());
+          logger.error(`Provider ${name} load failed`, { message: error.message });
+          throw error;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  // Текущее значение; устаревшее отдается сразу, а обновление идет в фоне
+  async function get() {
+    if (value !== undefined) {
+      const now = Date.now();
+      if (now - loadedAt >= ttl && now - attemptAt >= minInterval) {
+        refresh().catch(() => {});
+      }
+      return value;
+    }
+    if (pending) {
+      return pending;
+    }
+    if (lastError && Date.now() - attemptAt < minInterval) {
+      throw lastError;
+    }
+    return refresh();
+  }
+
+  // Внеочередная загрузка (например, неизвестный kid); false - если с прошлой попытки прошло меньше minInterval
+  async function reload() {
+    if (pending) {
+      await pending;
+      return true;
+    }
+    if (Date.now() - attemptAt < minInterval) {
+      return false;
+    }
+    await refresh();
+    return true;
+  }
+
+  function getState() {
+    return {
+      loaded: value !== undefined,
+      loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+      error: lastError ? lastError.message : null,
+    };
+  }
+
+  return {
+    get,
+    reload,
+    getState,
+  };
+}
+
+export function createProviderResolver(options) {
+  const {
+    providerUrl,
+    // Статическая конфигурация (без discovery): issuer и jwks / jwksFile / jwksUri
+    issuer: staticIssuer,
+    jwks: staticJwks,
+    jwksFile,
+    jwksUri: staticJwksUri,
+    discoveryTtl = 60 * 60 * 1000,
+    jwksCacheMaxAge = 10 * 60 * 1000,
+    jwksCooldown = 30 * 1000,
+    retryDelay = 10 * 1000,
+    fetchTimeout = 5000,
+    logger,
+    // (resource, outcome, seconds) => void - время загрузки discovery и JWKS
+    onFetch = () => {},
+  } = options;
+
+  if (staticJwks && !Array.isArray(staticJwks.keys)) {
+    throw new Error('createJWTMiddleware: jwks must be a JWKS object ({ keys: [...] })');
+  }
+
+  const useDiscovery = !(staticIssuer && (staticJwks || jwksFile || staticJwksUri));
+  if (useDiscovery && !providerUrl) {
+    throw new Error('createJWTMiddleware requires providerUrl or issuer with jwks, jwksFile or jwksUri');
+  }
+
+  const discovery = createCachedLoader('discovery', async () => {
+    try {
+      const issuer = await Issuer.discover(providerUrl);
+      // Issuer области auth-service содержит путь (/realms/<name>), поэтому JWKS - относительно issuer
+      const jwksUri = issuer.metadata.jwks_uri || `${issuer.issuer.replace(/\/$/, '')}/jwks`;
+      logger.info('Provider discovery loaded', { issuer: issuer.issuer, jwksUri });
+      return { issuer: issuer.issuer, jwksUri };
+    } catch (error) {
+      throw unavailableError(`Provider discovery failed: ${error.message}`, error);
+    }
+  }, { ttl: discoveryTtl, minInterval: retryDelay, logger, onFetch: (outcome, seconds) => onFetch('discovery', outcome, seconds) });
+
+  async function getMetadata() {
+    if (!useDiscovery) {
+      return { issuer: staticIssuer, jwksUri: staticJwksUri };
+    }
+    return discovery.get();
+  }
+
+  async function loadJwks() {
+    if (staticJwks) {
+      return staticJwks;
+    }
+    if (jwksFile) {
+      try {
+        return JSON.parse(await fs.readFile(jwksFile, 'utf8'));
+      } catch (error) {
+        throw unavailableError(`Failed to read JWKS file ${jwksFile}: ${error.message}`, error);
+      }
+    }
+
+    const { jwksUri } = await getMetadata();
+    let response;
+    try {
+      response = await fetch(jwksUri, { signal: AbortSignal.timeout(fetchTimeout) });
+    } catch (error) {
+      throw unavailableError(`JWKS endpoint ${jwksUri} is not available: ${error.message}`, error);
+    }
+    if (!response.ok) {
+      throw unavailableError(`JWKS endpoint ${jwksUri} returned ${response.status}`);
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      throw unavailableError(`JWKS endpoint ${jwksUri} returned invalid JSON: ${error.message}`, error);
+    }
+  }
+
+  const jwks = createCachedLoader('JWKS', async () => {
+    const keySet = await loadJwks();
+    if (!Array.isArray(keySet?.keys)) {
+      throw unavailableError('JWKS has no keys array');
+    }
+    logger.info('JWKS loaded', { keys: keySet.keys.length });
+    return { keys: keySet.keys, resolve: createLocalJWKSet(keySet) };
+  }, { ttl: staticJwks ? Infinity : jwksCacheMaxAge, minInterval: jwksCooldown, logger, onFetch: (outcome, seconds) => onFetch('jwks', outcome, seconds) });
+
+  async function getIssuer() {
+    return (await getMetadata()).issuer;
+  }
+
+  // Ключ для jwtVerify по заголовку токена
+  // Неизвестный kid - JWKS перезагружается (не чаще jwksCooldown) и поиск повторяется
+  async function getKey(protectedHeader, token) {
+    const current = await jwks.get();
+    try {
+      return await current.resolve(protectedHeader, token);
+    } catch (error) {
+      if (error.code !== 'ERR_JWKS_NO_MATCHING_KEY' || staticJwks) {
+        throw error;
+      }
+      logger.info('JWKS: no matching key, refreshing', { kid: protectedHeader.kid });
+      const reloaded = await jwks.reload().catch(() => false);
+      if (!reloaded) {
+        throw error;
+      }
+      return (await jwks.get()).resolve(protectedHeader, token);
+    }
+  }
+
+  // Готовность к проверке токенов: известен issuer и загружены ключи
+  // Если ключи еще не загружались, выполняется попытка загрузки (с учетом retryDelay / jwksCooldown)
+  async function checkReady() {
+    let ready = true;
+    try {
+      await getMetadata();
+      await jwks.get();
+    } catch (error) {
+      ready = false;
+    }
+    const jwksState = jwks.getState();
+    return {
+      ready,
+      mode: useDiscovery ? 'discovery' : 'static',
+      ...(useDiscovery ? { discovery: discovery.getState() } : {}),
+      jwks: {
+        ...jwksState,
+        keys: jwksState.loaded ? (await jwks.get()).keys.length : 0,
+      },
+    };
+  }
+
+  // Предзагрузка при старте без ожидания: недоступный provider не мешает запуску API
+  function warmUp() {
+    getMetadata()
+      .then(() => jwks.get())
+      .catch(() => {});
+  }
+
+  return {
+    getIssuer,
+    getKey,
+    checkReady,
+    warmUp,
+  };
+}
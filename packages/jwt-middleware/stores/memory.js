@@ -0,0 +1,61 @@
+// In-memory хранилище использованных токенов (LRU с ограниченным размером)
+//
+// Подходит для одного экземпляра API. Записи удаляются по TTL при обращении,
+// а при превышении maxEntries вытесняются самые давно использованные, поэтому память не растет
+// вместе с трафиком. Таймеров нет - close() только очищает данные.
+
+export function createMemoryTokenStore(options = {}) {
+  const {
+    maxEntries = 10000,
+  } = options;
+
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new Error('createMemoryTokenStore: maxEntries must be a positive integer');
+  }
+
+  // Map сохраняет порядок вставки: первый ключ - самый давно использованный
+  // Значение - { value, expiresAt }
+  const entries = new Map();
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Перемещаем запись в конец (недавно использованная)
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  async function set(key, value, ttlMs) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  async function remove(key) {
+    entries.delete(key);
+  }
+
+  async function close() {
+    entries.clear();
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    close,
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,214 @@
+// Хранилище использованных токенов в Redis (общее для нескольких экземпляров API)
+//
+// Адаптер работает по протоколу Redis (RESP) поверх TCP без сторонних клиентов, поэтому
+// подходит любой совместимый сервер (Redis, Valkey, KeyDB или локальная заглушка в тестах).
+// Используются только команды GET, SET ... PX (TTL выставляет сервер) и DEL.
+// Соединение открывается при первой команде и восстанавливается после ошибки.
+
+import net from 'net';
+import { toLogger } from 'stork-logger';
+
+// Кодирование команды в формат RESP (массив bulk строк)
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+// Разбор одного ответа RESP, начиная с offset
+// Возвращает { value, offset } или null, если ответ получен не полностью
+function parseReply(buffer, offset) {
+  if (offset >= buffer.length) {
+    return null;
+  }
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(`Redis error: ${line}`);
+      error.code = 'redis_error';
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default: {
+      const error = new Error(`Redis protocol error: unexpected reply type ${JSON.stringify(type)}`);
+      error.code = 'redis_protocol_error';
+      throw error;
+    }
+  }
+}
+
+export function createRedisTokenStore(options = {}) {
+  const {
+    url = 'redis://localhost:6379',
+    keyPrefix = 'jwt:used:',
+    // Сколько ждать ответа сервера, после этого соединение закрывается с ошибкой
+    commandTimeoutMs = 2000,
+    // Логгер приложения (см. stork-logger), по умолчанию - JSON в stdout/stderr
+    logger: injectedLogger,
+  } = options;
+
+  const logger = toLogger(injectedLogger, { name: 'jwt-middleware' });
+
+  const parsedUrl = new URL(url);
+  if (parsedUrl.protocol !== 'redis:') {
+    throw new Error(`createRedisTokenStore: unsupported protocol ${parsedUrl.protocol}, expected redis:`);
+  }
+  const host = parsedUrl.hostname || 'localhost';
+  const port = Number(parsedUrl.port) || 6379;
+  const username = decodeURIComponent(parsedUrl.username);
+  const password = decodeURIComponent(parsedUrl.password);
+  const db = Number(parsedUrl.pathname.slice(1)) || 0;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let closed = false;
+  // Ожидающие ответа команды в порядке отправки: { resolve, reject }
+  const pending = [];
+
+  function failPending(error) {
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+  }
+
+  function handleData(chunk) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    try {
+      let reply;
+      while (pending.length > 0 && (reply = parseReply(buffer, offset))) {
+        offset = reply.offset;
+        const { resolve, reject } = pending.shift();
+        if (reply.value instanceof Error) {
+          reject(reply.value);
+        } else {
+          resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      socket.destroy(error);
+      return;
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function connect() {
+    const connection = net.createConnection({ host, port });
+    connection.setNoDelay(true);
+    connection.setTimeout(commandTimeoutMs);
+
+    connection.on('data', handleData);
+    connection.on('timeout', () => {
+      // Таймаут важен только при ожидании ответа, простаивающее соединение не закрываем
+      if (pending.length > 0) {
+        connection.destroy(new Error('Redis command timeout'));
+      }
+    });
+    connection.on('error', (error) => {
+      logger.error('Redis token store: connection error', { message: error.message });
+    });
+    connection.on('close', () => {
+      if (socket === connection) {
+        socket = null;
+        buffer = Buffer.alloc(0);
+      }
+      failPending(new Error('Redis connection closed'));
+    });
+
+    socket = connection;
+
+    // Команды, отправленные до установки соединения, буферизуются сокетом и выполняются по порядку
+    if (password) {
+      send(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+    }
+    if (db) {
+      send(['SELECT', db]).catch(() => {});
+    }
+  }
+
+  function send(args) {
+    if (closed) {
+      return Promise.reject(new Error('Redis token store is closed'));
+    }
+    if (!socket) {
+      connect();
+    }
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  async function get(key) {
+    const value = await send(['GET', keyPrefix + key]);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async function set(key, value, ttlMs) {
+    await send(['SET', keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs))]);
+  }
+
+  async function remove(key) {
+    await send(['DEL', keyPrefix + key]);
+  }
+
+  // Закрытие соединения (после close() команды отклоняются)
+  async function close() {
+    closed = true;
+    if (socket) {
+      const connection = socket;
+      socket = null;
+      await new Promise((resolve) => {
+        connection.once('close', resolve);
+        connection.end();
+      });
+    }
+  }
+
+  return {
+    get,
+    set,
+    delete: remove,
+    close,
+  };
+}
@@ -0,0 +1,264 @@
+// Структурированный логгер с уровнями и скрытием секретов
+//
+// Запись - одна строка JSON: { time, level, name, msg, ...поля дочернего логгера, ...поля записи }.
+// Перед выводом из полей и сообщения убираются токены, пароли и секреты (см. redact).
+// Работает в Node.js (stdout/stderr) и в браузере (console).
+//
+//   const logger = createLogger({ name: 'admin-backend', level: 'info' });
+//   logger.info('User created', { id: 'user1' });
+//   app.use(createRequestContext(logger)); // req.id и req.log с requestId
+//   req.log.warn('Access denied', { sub });
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['json', 'pretty'];
+
+export const REDACTED = '[REDACTED]';
+
+// Признак логгера, созданного createLogger или toLogger (повторно не оборачивается)
+const LOGGER_MARK = Symbol('stork-logger');
+
+// Ключи полей, значения которых не выводятся (без учета регистра, "_" и "-")
+const SENSITIVE_KEYS = new Set([
+  'authorization',
+  'pass',
+  'password',
+  'secret',
+  'token',
+  'cookie',
+  'setcookie',
+  'sessionid',
+  'codeverifier',
+  'recoverycode',
+  'recoverycodes',
+  'otp',
+  'totp',
+  'handoff',
+  'privatekey',
+]);
+const SENSITIVE_SUFFIX = /(password|secret|token|cookie|privatekey)$/;
+
+// Секреты внутри строк: JWT, заголовки Authorization, параметры URL с кодами и токенами
+const STRING_PATTERNS = [
+  [/\beyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+  [/([?&#](?:code|handoff|state|access_token|id_token|refresh_token|token|client_secret|logout_token)=)[^&#\s"']+/gi, `$1${REDACTED}`],
+];
+
+const MAX_DEPTH = 8;
+
+function isSensitiveKey(key) {
+  const normalized = String(key).toLowerCase().replace(/[^a-z]/g, '');
+  return SENSITIVE_KEYS.has(normalized) || SENSITIVE_SUFFIX.test(normalized);
+}
+
+function redactString(value) {
+  return STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+// Ошибка без лишних свойств (ответы HTTP-клиентов, запросы и т. п. не выводятся)
+export function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.error !== undefined ? { error: error.error } : {}),
+    ...(error.error_description !== undefined ? { error_description: error.error_description } : {}),
+    ...(error.status ?? error.statusCode ? { status: error.status ?? error.statusCode } : {}),
+    ...(error.stack ? { stack: error.stack } : {}),
+  };
+}
+
+/**
+ * Копия значения без секретов: значения чувствительных ключей заменяются на [REDACTED],
+ * в строках скрываются JWT, Bearer/Basic и токены в параметрах URL
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth, seen);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value.byteLength === 'number' && !Array.isArray(value)) {
+    return `[${value.constructor?.name || 'Binary'}]`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  seen.add(value);
+  const result = Array.isArray(value)
+    ? value.map(item => redact(item, depth + 1, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isSensitiveKey(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, depth + 1, seen),
+    ]));
+  seen.delete(value);
+  return result;
+}
+
+// Поля записи: объект или ошибка (logger.error('Failed', error))
+function normalizeFields(fields) {
+  if (fields === undefined || fields === null) {
+    return {};
+  }
+  if (fields instanceof Error) {
+    return { error: fields };
+  }
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    return { value: fields };
+  }
+  return fields;
+}
+
+function hasProcessStreams() {
+  return typeof process !== 'undefined' && !!process.stdout?.write && !!process.stderr?.write;
+}
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'info', warn: 'warn', error: 'error' };
+
+// Вывод по умолчанию: debug/info - stdout, warn/error - stderr (в браузере - console)
+function defaultWrite(line, level) {
+  if (hasProcessStreams()) {
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+    return;
+  }
+  console[CONSOLE_METHODS[level]](line);
+}
+
+function formatPretty(entry) {
+  const { time, level, name, msg, ...fields } = entry;
+  const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${name ? `[${name}] ` : ''}${msg}${rest}`;
+}
+
+function assertOption(value, allowed, option) {
+  if (!allowed.includes(value)) {
+    throw new Error(`createLogger: unknown ${option} ${value}, expected one of ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Логгер
+ * level    - минимальный уровень: debug, info (по умолчанию), warn, error, silent
+ * format   - json (по умолчанию) или pretty (строка для чтения в терминале)
+ * name     - имя сервиса или пакета (поле name)
+ * bindings - поля, добавляемые к каждой записи
+ * write    - (line, level) => void, вывод строки (по умолчанию stdout/stderr или console)
+ */
+export function createLogger(options = {}) {
+  const {
+    level = 'info',
+    format = 'json',
+    name,
+    bindings = {},
+    write = defaultWrite,
+  } = options;
+
+  assertOption(level, LOG_LEVELS, 'level');
+  assertOption(format, LOG_FORMATS, 'format');
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  function isLevelEnabled(candidate) {
+    return candidate !== 'silent' && LOG_LEVELS.indexOf(candidate) >= threshold;
+  }
+
+  function log(entryLevel, message, fields) {
+    if (!isLevelEnabled(entryLevel)) {
+      return;
+    }
+    // Поля записи не перекрывают time, level, name и msg
+    const { time, level: _level, name: _name, msg, ...rest } = redact({ ...bindings, ...normalizeFields(fields) });
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      ...(name ? { name } : {}),
+      msg: redactString(String(message)),
+      ...rest,
+    };
+    try {
+      write(format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry), entryLevel);
+    } catch {
+      // Ошибка вывода лога не должна прерывать обработку запроса
+    }
+  }
+
+  return {
+    [LOGGER_MARK]: true,
+    level,
+    isLevelEnabled,
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    // Дочерний логгер с дополнительными полями (requestId, realm, компонент)
+    child: childBindings => createLogger({ ...options, bindings: { ...bindings, ...childBindings } }),
+  };
+}
+
+/**
+ * Логгер из внешнего объекта с методами debug/info/warn/error (message, fields) - например, console
+ * Поля скрываются так же, как в createLogger; child добавляет поля к каждой записи
+ * Без logger - createLogger(defaults)
+ */
+export function toLogger(logger, defaults = {}) {
+  if (!logger) {
+    return createLogger(defaults);
+  }
+  if (logger[LOGGER_MARK]) {
+    return logger;
+  }
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    if (typeof logger[method] !== 'function') {
+      throw new Error(`logger must have ${method}(message, fields) method`);
+    }
+  }
+
+  function wrap(bindings) {
+    const call = method => (message, fields) => {
+      logger[method](redactString(String(message)), redact({ ...bindings, ...normalizeFields(fields) }));
+    };
+    return {
+      [LOGGER_MARK]: true,
+      debug: call('debug'),
+      info: call('info'),
+      warn: call('warn'),
+      error: call('error'),
+      child: childBindings => wrap({ ...bindings, ...childBindings }),
+    };
+  }
+  return wrap({});
+}
+
+// Идентификатор запроса из заголовка принимается, только если он похож на идентификатор
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function generateRequestId() {
+  return globalThis.crypto.randomUUID();
+}
+
+/**
+ * Express middleware: идентификатор запроса (correlation ID) и логгер запроса
+ * Идентификатор берется из заголовка X-Request-Id (от вызывающего сервиса) или создается,
+ * возвращается в ответе и доступен как req.id; req.log - дочерний логгер с полем requestId
+ */
+export function createRequestContext(logger, options = {}) {
+  const { header = 'x-request-id' } = options;
+  const base = toLogger(logger);
+
+  return (req, res, next) => {
+    const incoming = req.headers[header];
+    req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : generateRequestId();
+    req.log = base.child({ requestId: req.id });
+    res.setHeader(header, req.id);
+    next();
+  };
+}
@@ -0,0 +1,240 @@
+// Метрики в формате Prometheus (text exposition format 0.0.4)
+//
+// Реестр хранит счетчики (counter) и гистограммы (histogram) с метками и отдает их текстом
+// для GET /metrics. Значения живут в памяти процесса: после перезапуска счет начинается с нуля,
+// это Prometheus учитывает сам (rate, increase).
+//
+//   const metrics = createMetricsRegistry();
+//   const logins = metrics.counter({ name: 'auth_logins_total', help: 'Logins', labelNames: ['outcome'] });
+//   logins.inc({ outcome: 'success' });
+//   app.get('/metrics', createMetricsHandler(metrics));
+//
+// Метки должны иметь ограниченный набор значений (коды ошибок, client_id), а не идентификаторы
+// пользователей или токенов: каждое сочетание значений - отдельный временной ряд.
+
+import crypto from 'crypto';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Границы гистограмм по умолчанию (секунды)
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function metricsError(message) {
+  return new Error(`stork-metrics: ${message}`);
+}
+
+function escapeHelp(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatNumber(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(pairs) {
+  const rendered = pairs
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return rendered.length > 0 ? `{${rendered.join(',')}}` : '';
+}
+
+// Значения меток в порядке labelNames; неизвестная метка - ошибка, отсутствующая - пустая строка
+function labelValues(metricName, labelNames, labels = {}) {
+  for (const key of Object.keys(labels)) {
+    if (!labelNames.includes(key)) {
+      throw metricsError(`unknown label ${key} for metric ${metricName}`);
+    }
+  }
+  return labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+function validateDefinition({ name, help, labelNames = [] }) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw metricsError(`invalid metric name ${name}`);
+  }
+  if (typeof help !== 'string' || help === '') {
+    throw metricsError(`metric ${name} requires help text`);
+  }
+  if (!Array.isArray(labelNames) || labelNames.some(label => typeof label !== 'string' || !LABEL_PATTERN.test(label) || label === 'le')) {
+    throw metricsError(`invalid label names for metric ${name}`);
+  }
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  // Увеличение счетчика (value >= 0)
+  function inc(labels = {}, value = 1) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw metricsError(`counter ${name} can only be increased by a non-negative number`);
+    }
+    const values = labelValues(name, labelNames, labels);
+    const key = JSON.stringify(values);
+    const entry = series.get(key) || { values, value: 0 };
+    entry.value += value;
+    series.set(key, entry);
+  }
+
+  function render() {
+    // Счетчик без меток выводится и до первого увеличения
+    const entries = series.size === 0 && labelNames.length === 0 ? [{ values: [], value: 0 }] : [...series.values()];
+    return entries.map(entry => `${name}${formatLabels(labelNames.map((label, index) => [label, entry.values[index]]))} ${formatNumber(entry.value)}`);
+  }
+
+  return {
+    type: 'counter',
+    name,
+    help,
+    labelNames,
+    inc,
+    render,
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  if (!Array.isArray(buckets) || buckets.length === 0 || buckets.some((bound, index) => !Number.isFinite(bound) || (index > 0 && bound <= buckets[index - 1]))) {
+    throw metricsError(`histogram ${name} requires increasing finite buckets`);
+  }
+  const series = new Map();
+
+  // Наблюдение (например, длительность в секундах)
+  function observe(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      throw metricsError(`histogram ${name} observation must be a finite number`);
+    }
+    const values = labelValues(name, labelNames, labels);
+    const key = JSON.stringify(values);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  // Таймер: возвращает функцию, которая записывает прошедшее время в секундах (метки можно дополнить)
+  function startTimer(labels = {}) {
+    const startedAt = performance.now();
+    return (extraLabels = {}) => {
+      const seconds = (performance.now() - startedAt) / 1000;
+      observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const entry of series.values()) {
+      const pairs = labelNames.map((label, index) => [label, entry.values[index]]);
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels([...pairs, ['le', formatNumber(bound)]])} ${entry.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(pairs)} ${formatNumber(entry.sum)}`);
+      lines.push(`${name}_count${formatLabels(pairs)} ${entry.count}`);
+    }
+    return lines;
+  }
+
+  return {
+    type: 'histogram',
+    name,
+    help,
+    labelNames,
+    buckets,
+    observe,
+    startTimer,
+    render,
+  };
+}
+
+/**
+ * Реестр метрик
+ * counter({ name, help, labelNames })            - счетчик: inc(labels, value = 1)
+ * histogram({ name, help, labelNames, buckets }) - гистограмма: observe(labels, value), startTimer(labels)
+ * Повторная регистрация метрики с тем же именем, типом и метками возвращает уже созданную
+ * (несколько экземпляров middleware пишут в общие метрики)
+ */
+export function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(type, definition, create) {
+    validateDefinition(definition);
+    const existing = metrics.get(definition.name);
+    if (existing) {
+      if (existing.type !== type || JSON.stringify(existing.labelNames) !== JSON.stringify(definition.labelNames || [])) {
+        throw metricsError(`metric ${definition.name} is already registered with another type or labels`);
+      }
+      return existing;
+    }
+    const metric = create(definition);
+    metrics.set(definition.name, metric);
+    return metric;
+  }
+
+  // Все метрики в текстовом формате Prometheus
+  function render() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  return {
+    counter: definition => register('counter', definition, createCounter),
+    histogram: definition => register('histogram', definition, createHistogram),
+    render,
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Express handler для GET /metrics
+ * token - если задан, запрос должен содержать Authorization: Bearer <token> (иначе 401)
+ */
+export function createMetricsHandler(registry, options = {}) {
+  const { token } = options;
+
+  return (req, res) => {
+    if (token) {
+      const header = req.headers.authorization || '';
+      if (!header.startsWith('Bearer ') || !safeEqual(header.slice('Bearer '.length), token)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          error: 'unauthorized',
+          message: 'Metrics token required',
+        });
+      }
+    }
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.set('Cache-Control', 'no-store');
+    res.send(registry.render());
+  };
+}
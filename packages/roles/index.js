@@ -0,0 +1,113 @@
+// Политика ролей и разрешений
+//
+// Роль - набор разрешений и унаследованных ролей:
+//   {
+//     viewer: { permissions: ['data:read'] },
+//     user:   { inherits: ['viewer'], permissions: ['data:write'] },
+//     admin:  { inherits: ['user'], permissions: ['admin'] },
+//   }
+// Разрешения роли - ее permissions и разрешения всех унаследованных ролей (admin ⊇ user ⊇ viewer).
+// Один формат используют auth-service (роли resource server) и jwt-middleware (policy / policyFile),
+// поэтому API проверяет разрешения так же, как auth-service их выдает.
+//
+//   const policy = createRolePolicy(definitions);
+//   policy.expandRoles(['admin']);        // ['admin', 'user', 'viewer']
+//   policy.resolvePermissions(['user']);  // ['data:write', 'data:read']
+
+function rolesError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_roles';
+  return error;
+}
+
+// Список ролей: строка (старый формат хранения) или массив; пустые значения и повторы отбрасываются
+export function normalizeRoles(value) {
+  const roles = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(roles)) {
+    return [];
+  }
+  return [...new Set(roles.filter(role => typeof role === 'string' && role.trim() !== '').map(role => role.trim()))];
+}
+
+function stringList(value, field) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === '')) {
+    throw rolesError(`${field} must be a list of strings`);
+  }
+  return value;
+}
+
+/**
+ * Политика ролей по описаниям { <role>: { inherits, permissions } }
+ * Неизвестные роли в inherits и циклы наследования - ошибка с code 'invalid_roles'
+ */
+export function createRolePolicy(definitions) {
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw rolesError('roles must be an object keyed by role name');
+  }
+
+  const roles = new Map();
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw rolesError(`roles.${name} must be an object`);
+    }
+    roles.set(name, {
+      inherits: stringList(definition.inherits, `roles.${name}.inherits`),
+      permissions: stringList(definition.permissions, `roles.${name}.permissions`),
+    });
+  }
+
+  for (const [name, { inherits }] of roles) {
+    const unknown = inherits.filter(parent => !roles.has(parent));
+    if (unknown.length > 0) {
+      throw rolesError(`roles.${name} inherits unknown role ${unknown.join(', ')}`);
+    }
+  }
+
+  // Роль и все унаследованные роли (обход в глубину с проверкой циклов)
+  const expanded = new Map();
+  function expand(name, path = []) {
+    if (expanded.has(name)) {
+      return expanded.get(name);
+    }
+    if (path.includes(name)) {
+      throw rolesError(`roles inheritance cycle: ${[...path, name].join(' -> ')}`);
+    }
+    const result = new Set([name]);
+    for (const parent of roles.get(name).inherits) {
+      expand(parent, [...path, name]).forEach(role => result.add(role));
+    }
+    expanded.set(name, result);
+    return result;
+  }
+  for (const name of roles.keys()) {
+    expand(name);
+  }
+
+  // Назначенные роли вместе с унаследованными; неизвестные роли остаются как есть
+  function expandRoles(assigned) {
+    const result = new Set();
+    for (const role of normalizeRoles(assigned)) {
+      (expanded.get(role) || [role]).forEach(item => result.add(item));
+    }
+    return [...result];
+  }
+
+  // Разрешения назначенных ролей (с учетом наследования)
+  function resolvePermissions(assigned) {
+    const result = new Set();
+    for (const role of expandRoles(assigned)) {
+      roles.get(role)?.permissions.forEach(permission => result.add(permission));
+    }
+    return [...result];
+  }
+
+  return {
+    roleNames: [...roles.keys()],
+    hasRole: name => roles.has(name),
+    expandRoles,
+    resolvePermissions,
+  };
+}
@@ -1,8 +1,11 @@
 // Управление конфигурацией авторизации
 
 import { getItem, setItem, removeItem } from '../utils/storage.js';
+import { resolveLogger } from '../utils/logger.js';
+
+export function createConfigManager(apiClient, configEndpoint, configKey = 'auth_config', configCacheTTL = 5 * 60 * 1000, onConfigError, injectedLogger) {
+  const logger = resolveLogger(injectedLogger);
 
-export function createConfigManager(apiClient, configEndpoint, configKey = 'auth_config', configCacheTTL = 5 * 60 * 1000, onConfigError) {
   // Кэш конфигурации
   let configCache = null;
   let configLoadPromise = null;
@@ -13,8 +16,8 @@ export function createConfigManager(apiClient, configEndpoint, configKey = 'auth
   function clearConfigCache() {
     configCache = null;
     configLoadPromise = null;
-    removeItem(configKey, sessionStorage);
-    console.log('Auth config cache cleared');
+    removeItem(configKey, sessionStorage, logger);
+    logger.debug('Auth config cache cleared');
   }
 
   /**
@@ -27,7 +30,7 @@ export function createConfigManager(apiClient, configEndpoint, configKey = 'auth
 
     // Пытаемся загрузить из sessionStorage
     try {
-      const cached = getItem(configKey, sessionStorage);
+      const cached = getItem(configKey, sessionStorage, logger);
       if (cached) {
         const cachedData = JSON.parse(cached);
         const now = Date.now();
@@ -55,7 +58,7 @@ export function createConfigManager(apiClient, configEndpoint, configKey = 'auth
 
     // Если уже загружается, возвращаем существующий промис
     if (configLoadPromise) {
-      console.log('Auth config: Already loading, waiting for existing promise');
+      logger.debug('Auth config: Already loading, waiting for existing promise');
       return configLoadPromise;
     }
 
@@ -63,35 +66,35 @@ export function createConfigManager(apiClient, configEndpoint, configKey = 'auth
     if (configCache) {
       const now = Date.now();
       if (now - configCache.timestamp < configCacheTTL) {
-        console.log('Auth config: Using in-memory cache');
+        logger.debug('Auth config: Using in-memory cache');
         return configCache.config;
       } else {
-        console.log('Auth config: In-memory cache expired, clearing');
+        logger.debug('Auth config: In-memory cache expired, clearing');
         configCache = null;
       }
     }
 
     // Проверяем кэш в sessionStorage
     try {
-      const cached = getItem(configKey, sessionStorage);
+      const cached = getItem(configKey, sessionStorage, logger);
       if (cached) {
         const cachedData = JSON.parse(cached);
         const now = Date.now();
         if (now - cachedData.timestamp < configCacheTTL) {
-          console.log('Auth config: Using sessionStorage cache');
+          logger.debug('Auth config: Using sessionStorage cache');
           configCache = cachedData;
           return cachedData.config;
         } else {
-          console.log('Auth config: SessionStorage cache expired, clearing');
-          removeItem(configKey, sessionStorage);
+          logger.debug('Auth config: SessionStorage cache expired, clearing');
+          removeItem(configKey, sessionStorage, logger);
         }
       }
     } catch (e) {
-      console.warn('Failed to read config from cache:', e);
+      logger.warn('Failed to read config from cache', e);
     }
 
     // Загружаем конфигурацию с бэкенда
-    console.log('Auth config: Loading from backend...');
+    logger.debug('Auth config: Loading from backend');
     configLoadPromise = (async () => {
       try {
         // Убираем /api из начала, если есть, так как apiClient уже имеет baseURL: '/api'
@@ -101,9 +104,8 @@ export function createConfigManager(apiClient, configEndpoint, configKey = 'auth
           ? configEndpoint.substring(1)  // Убираем '/'
           : configEndpoint;
         
-        console.log('Auth config: Making request to endpoint:', endpoint);
+        logger.debug('Auth config: Making request to endpoint', { endpoint });
         const response = await apiClient.get(endpoint);
-        console.log('Auth config: Response received', response);
 
         // Response interceptor уже вернул response.data, поэтому response - это уже данные
         const data = response.data || response;
@@ -119,12 +121,12 @@ export function createConfigManager(apiClient, configEndpoint, configKey = 'auth
           timestamp: Date.now(),
         };
         configCache = cacheData;
-        setItem(configKey, JSON.stringify(cacheData), sessionStorage);
+        setItem(configKey, JSON.stringify(cacheData), sessionStorage, logger);
 
-        console.log('Auth config: Successfully loaded from backend:', config);
+        logger.info('Auth config: Loaded from backend', config);
         return config;
       } catch (error) {
-        console.error('Auth config: Failed to load from backend:', {
+        logger.error('Auth config: Failed to load from backend', {
           message: error.message,
           response: error.response?.data,
           status: error.response?.status,
@@ -1,41 +1,85 @@
 // Редиректы на авторизацию
 
 import { getItem, setItem, removeItem } from '../utils/storage.js';
+import { resolveLogger } from '../utils/logger.js';
+
+export function createRedirectManager(loadConfig, injectedLogger) {
+  const logger = resolveLogger(injectedLogger);
 
-export function createRedirectManager(loadConfig) {
   /**
    * Редирект на страницу авторизации
-   * Сохраняет текущий URL для возврата после авторизации
+   * Сохраняет текущий URL (путь, query и hash) для возврата после авторизации
+   * и передает его в return_to: auth-service вернет пользователя на этот адрес,
+   * если он зарегистрирован для приложения
    */
   async function redirectToAuth() {
     // Загружаем конфигурацию
     const config = await loadConfig();
     
     // Сохраняем текущий URL для возврата после авторизации
-    const returnUrl = window.location.pathname;
-    setItem('return_url', returnUrl, sessionStorage);
+    const { pathname, search, hash } = window.location;
+    setItem('return_url', `${pathname}${search}${hash}`, sessionStorage, logger);
     
     // Редиректим на auth с client_id
-    const authUrl = `${config.providerUrl}/client/auth?client_id=${config.clientId}`;
+    const authUrl = `${config.providerUrl}/client/auth?client_id=${encodeURIComponent(config.clientId)}`
+      + `&return_to=${encodeURIComponent(window.location.href)}`;
     window.location.href = authUrl;
   }
 
   /**
-   * Обработка токена из query параметров
-   * Сохраняет токен в localStorage и очищает URL
+   * Редирект на выход (RP-initiated logout)
+   * auth-service отзывает refresh токен и завершает сессию provider (end_session),
+   * после чего возвращает пользователя на redirect_url приложения
+   */
+  async function redirectToLogout() {
+    const config = await loadConfig();
+    removeItem('return_url', sessionStorage, logger);
+    
+    const logoutUrl = `${config.providerUrl}/client/logout?client_id=${encodeURIComponent(config.clientId)}`
+      + `&return_to=${encodeURIComponent(window.location.href)}`;
+    window.location.href = logoutUrl;
+  }
+
+  /**
+   * Обработка одноразового кода из query параметров
+   * Обменивает код на токен в auth-service, сохраняет токен и очищает URL
    */
-  function handleTokenFromQuery(setToken) {
+  async function handleTokenFromQuery(setToken) {
     const urlParams = new URLSearchParams(window.location.search);
-    const token = urlParams.get('token');
+    const code = urlParams.get('handoff');
     
-    if (!token) {
+    if (!code) {
       return { success: false };
     }
     
-    console.log('Token received from query, saving to localStorage', {
-      tokenLength: token.length,
-      tokenStart: token.substring(0, 20) + '...',
-    });
+    // Код одноразовый: убираем его из URL сразу, даже если обмен не удастся
+    // Восстанавливаем сохраненный URL целиком (путь, query, hash), без него - текущий URL без кода
+    const currentUrl = new URL(window.location.href);
+    currentUrl.searchParams.delete('handoff');
+    const returnUrl = getItem('return_url', sessionStorage, logger)
+      || `${currentUrl.pathname}${currentUrl.search}${currentUrl.hash}`;
+    removeItem('return_url', sessionStorage, logger);
+    window.history.replaceState({}, document.title, returnUrl);
+    
+    let token;
+    try {
+      const config = await loadConfig();
+      const response = await fetch(`${config.providerUrl}/api/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, client_id: config.clientId }),
+      });
+      const data = await response.json().catch(() => ({}));
+      
+      if (!response.ok || !data.token) {
+        logger.error('Handoff code exchange failed', { status: response.status, error: data.error });
+        return { success: false, error: data.message || 'Token exchange failed' };
+      }
+      token = data.token;
+    } catch (error) {
+      logger.error('Handoff code exchange failed', error);
+      return { success: false, error: error.message };
+    }
     
     // Сохраняем токен через централизованную функцию
     const saved = setToken(token);
@@ -43,22 +87,13 @@ export function createRedirectManager(loadConfig) {
       return { success: false, error: 'Token save failed' };
     }
     
-    console.log('Token saved successfully to localStorage');
-    
-    // Очищаем URL от токена
-    const returnUrl = getItem('return_url', sessionStorage) || '/';
-    removeItem('return_url', sessionStorage);
-    
-    // Убираем token из URL
-    const cleanUrl = returnUrl.split('?')[0];
-    window.history.replaceState({}, document.title, cleanUrl);
-    
-    console.log('URL cleaned, ready for API calls');
+    logger.debug('Token received from auth service and saved, ready for API calls');
     return { success: true, token };
   }
 
   return {
     redirectToAuth,
+    redirectToLogout,
     handleTokenFromQuery,
   };
 }
@@ -0,0 +1,58 @@
+// Тихое обновление токена через auth-service
+//
+// Refresh токен хранится на стороне auth-service, браузер передает только httpOnly cookie
+// с идентификатором refresh сессии (поэтому fetch с credentials: 'include').
+
+import { resolveLogger } from '../utils/logger.js';
+
+export function createRefreshManager(loadConfig, injectedLogger) {
+  const logger = resolveLogger(injectedLogger);
+
+  // Текущий запрос обновления: параллельные 401 ждут один и тот же запрос
+  let refreshPromise = null;
+
+  async function requestRefresh() {
+    const config = await loadConfig();
+    const response = await fetch(`${config.providerUrl}/api/refresh`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: config.clientId }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.token) {
+      logger.info('Token refresh failed', { status: response.status, error: data.error });
+      return null;
+    }
+    return data.token;
+  }
+
+  /**
+   * Обновление токена
+   * Возвращает новый токен (уже сохраненный через setToken) или null, если нужен новый логин
+   */
+  function refreshToken(setToken) {
+    if (!refreshPromise) {
+      refreshPromise = requestRefresh()
+        .then((token) => {
+          if (token && !setToken(token)) {
+            return null;
+          }
+          return token;
+        })
+        .catch((error) => {
+          logger.error('Token refresh failed', error);
+          return null;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+  }
+
+  return {
+    refreshToken,
+  };
+}
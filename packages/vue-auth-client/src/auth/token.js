@@ -1,13 +1,16 @@
 // Управление токенами
 
 import { getItem, setItem, removeItem } from '../utils/storage.js';
+import { resolveLogger } from '../utils/logger.js';
+
+export function createTokenManager(tokenKey = 'jwt_token', injectedLogger) {
+  const logger = resolveLogger(injectedLogger);
 
-export function createTokenManager(tokenKey = 'jwt_token') {
   /**
    * Получение токена из хранилища
    */
   function getToken() {
-    return getItem(tokenKey) || null;
+    return getItem(tokenKey, localStorage, logger) || null;
   }
 
   /**
@@ -15,11 +18,11 @@ export function createTokenManager(tokenKey = 'jwt_token') {
    */
   function setToken(token) {
     if (!token) {
-      console.warn('setToken: Attempting to set empty token');
+      logger.warn('setToken: Attempting to set empty token');
       return false;
     }
     
-    const saved = setItem(tokenKey, token);
+    const saved = setItem(tokenKey, token, localStorage, logger);
     if (!saved) {
       return false;
     }
@@ -27,7 +30,7 @@ export function createTokenManager(tokenKey = 'jwt_token') {
     // Проверяем, что токен действительно сохранен
     const savedToken = getToken();
     if (savedToken !== token) {
-      console.error('setToken: Token was not saved correctly!', {
+      logger.error('setToken: Token was not saved correctly', {
         originalLength: token.length,
         savedLength: savedToken?.length,
       });
@@ -41,7 +44,7 @@ export function createTokenManager(tokenKey = 'jwt_token') {
    * Удаление токена из хранилища
    */
   function removeToken() {
-    removeItem(tokenKey);
+    removeItem(tokenKey, localStorage, logger);
   }
 
   /**
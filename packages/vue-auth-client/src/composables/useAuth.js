@@ -35,6 +35,7 @@ export function useAuth() {
     
     // Утилиты
     handleTokenFromQuery: authInstance.handleTokenFromQuery,
+    refreshToken: authInstance.refreshToken,
     clearConfigCache: authInstance.clearConfigCache,
     
     // Инициализация
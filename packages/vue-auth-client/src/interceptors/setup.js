@@ -1,20 +1,18 @@
 // Настройка Axios interceptors
 
-export function setupRequestInterceptor(apiClient, getToken) {
+import { resolveLogger } from '../utils/logger.js';
+
+export function setupRequestInterceptor(apiClient, getToken, injectedLogger) {
+  const logger = resolveLogger(injectedLogger);
+
   apiClient.interceptors.request.use(
     (config) => {
       const token = getToken();
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
-        // Логирование для отладки (можно убрать в production)
-        if (import.meta.env?.DEV) {
-          console.log('API Request:', config.method?.toUpperCase(), config.url, 'with token:', token.substring(0, 20) + '...');
-        }
-      } else {
-        if (import.meta.env?.DEV) {
-          console.log('API Request:', config.method?.toUpperCase(), config.url, 'without token');
-        }
       }
+      // Токен в лог не выводится, только факт его наличия
+      logger.debug('API request', { method: config.method?.toUpperCase(), url: config.url, withToken: !!token });
       return config;
     },
     (error) => {
@@ -23,7 +21,9 @@ export function setupRequestInterceptor(apiClient, getToken) {
   );
 }
 
-export function setupResponseInterceptor(apiClient, redirectToAuth, removeToken, redirectCooldown = 2000, getToken) {
+export function setupResponseInterceptor(apiClient, redirectToAuth, removeToken, redirectCooldown = 2000, getToken, refreshToken, injectedLogger) {
+  const logger = resolveLogger(injectedLogger);
+
   // Флаг для предотвращения множественных редиректов
   let isRedirecting = false;
   let last401Time = 0;
@@ -36,30 +36,29 @@ export function setupResponseInterceptor(apiClient, redirectToAuth, removeToken,
     
     // Проверяем, не происходит ли уже редирект
     if (isRedirecting) {
-      console.log('API: Already redirecting, ignoring 401');
+      logger.debug('API: Already redirecting, ignoring 401');
       return Promise.reject(error);
     }
     
     // Проверяем cooldown между редиректами
     if (now - last401Time < redirectCooldown) {
-      console.log('API: 401 cooldown active, ignoring');
+      logger.debug('API: 401 cooldown active, ignoring');
       return Promise.reject(error);
     }
     
-    // Проверяем, не находимся ли мы уже на странице с токеном в query
+    // Проверяем, не находимся ли мы уже на странице с одноразовым кодом в query
     const urlParams = new URLSearchParams(window.location.search);
-    if (urlParams.has('token')) {
-      console.log('API: Token in query, not redirecting - let handleTokenFromQuery process it');
+    if (urlParams.has('handoff')) {
+      logger.debug('API: Handoff code in query, not redirecting - let handleTokenFromQuery process it');
       return Promise.reject(error);
     }
     
     // Проверяем, есть ли токен
     const token = getToken ? getToken() : null;
     if (!token) {
-      console.log('API: No token, redirecting to auth');
+      logger.info('API: No token, redirecting to auth');
     } else {
-      console.log('API: Token exists but validation failed, redirecting to auth', {
-        tokenLength: token.length,
+      logger.info('API: Token exists but validation failed, redirecting to auth', {
         errorDetails: error.response?.data,
       });
     }
@@ -83,11 +82,32 @@ export function setupResponseInterceptor(apiClient, redirectToAuth, removeToken,
     return new Promise(() => {});
   }
 
+  /**
+   * Попытка тихого обновления токена перед редиректом
+   * Каждый запрос повторяется не более одного раза; параллельные запросы
+   * ждут одно обновление (refreshToken) и повторяются с новым токеном
+   */
+  async function handleUnauthorized(error) {
+    const originalRequest = error.config;
+    
+    if (refreshToken && originalRequest && !originalRequest._authRetried) {
+      originalRequest._authRetried = true;
+      const newToken = await refreshToken();
+      if (newToken) {
+        logger.debug('API: Token refreshed, replaying request', { method: originalRequest.method?.toUpperCase(), url: originalRequest.url });
+        // Request interceptor подставит новый токен в заголовок
+        return apiClient.request(originalRequest);
+      }
+    }
+    
+    return handle401Error(error);
+  }
+
   apiClient.interceptors.response.use(
     (response) => response.data,
     (error) => {
       if (error.response?.status === 401) {
-        return handle401Error(error);
+        return handleUnauthorized(error);
       }
       return Promise.reject(error);
     }
@@ -4,8 +4,10 @@ import { ref, watch } from 'vue';
 import { createTokenManager } from './auth/token.js';
 import { createConfigManager } from './auth/config.js';
 import { createRedirectManager } from './auth/redirect.js';
+import { createRefreshManager } from './auth/refresh.js';
 import { setupRequestInterceptor, setupResponseInterceptor } from './interceptors/setup.js';
 import { setAuthInstance } from './composables/useAuth.js';
+import { resolveLogger } from './utils/logger.js';
 
 export function createAuthPlugin(options) {
   const {
@@ -15,19 +17,26 @@ export function createAuthPlugin(options) {
     configKey = 'auth_config',
     configCacheTTL = 5 * 60 * 1000,
     redirectCooldown = 2000,
+    silentRefresh = true,
+    endSessionOnLogout = true,
     onConfigError,
   } = options;
 
+  // Логгер приложения (stork-logger или объект с debug/info/warn/error), по умолчанию - console, уровень warn
+  const logger = resolveLogger(options.logger);
+
   // Создаем менеджеры
-  const tokenManager = createTokenManager(tokenKey);
+  const tokenManager = createTokenManager(tokenKey, logger);
   const configManager = createConfigManager(
     apiClient,
     configEndpoint,
     configKey,
     configCacheTTL,
-    onConfigError
+    onConfigError,
+    logger
   );
-  const redirectManager = createRedirectManager(configManager.loadConfig);
+  const redirectManager = createRedirectManager(configManager.loadConfig, logger);
+  const refreshManager = createRefreshManager(configManager.loadConfig, logger);
 
   // Реактивное состояние
   const currentUser = ref(null);
@@ -54,7 +63,7 @@ export function createAuthPlugin(options) {
       config.value = loadedConfig;
       return loadedConfig;
     } catch (error) {
-      console.error('Failed to load auth config:', error);
+      logger.error('Failed to load auth config', error);
       throw error;
     } finally {
       isLoadingConfig.value = false;
@@ -109,22 +118,36 @@ export function createAuthPlugin(options) {
   // Login (алиас для redirectToAuth)
   const login = redirectToAuth;
 
-  // Logout
-  const logout = () => {
+  // Logout: очистка токена и (по умолчанию) завершение сессии provider,
+  // иначе следующий login() выполнится без ввода пароля
+  const logout = async ({ endSession = endSessionOnLogout } = {}) => {
     tokenManager.removeToken();
     token.value = null;
     currentUser.value = null;
+    
+    if (endSession) {
+      await redirectManager.redirectToLogout();
+    }
   };
 
-  // Обработка токена из query параметров
-  const handleTokenFromQuery = () => {
-    const result = redirectManager.handleTokenFromQuery(tokenManager.setToken);
+  // Обработка одноразового кода из query параметров (обмен на токен)
+  const handleTokenFromQuery = async () => {
+    const result = await redirectManager.handleTokenFromQuery(tokenManager.setToken);
     if (result.success) {
       updateTokenFromStorage();
     }
     return result;
   };
 
+  // Тихое обновление токена (refresh сессия в httpOnly cookie auth-service)
+  const refreshToken = async () => {
+    const newToken = await refreshManager.refreshToken(tokenManager.setToken);
+    if (newToken) {
+      updateTokenFromStorage();
+    }
+    return newToken;
+  };
+
   // Очистка кэша конфигурации
   const clearConfigCache = () => {
     configManager.clearConfigCache();
@@ -145,8 +168,8 @@ export function createAuthPlugin(options) {
       });
     }
     
-    // Обрабатываем токен из query параметров (если есть)
-    handleTokenFromQuery();
+    // Обмениваем одноразовый код из query параметров на токен (если есть)
+    await handleTokenFromQuery();
     
     // Проверяем авторизацию
     try {
@@ -157,7 +180,7 @@ export function createAuthPlugin(options) {
         error: null,
       };
     } catch (err) {
-      console.error('Auth initialization failed:', err);
+      logger.error('Auth initialization failed', err);
       return { 
         authenticated: false, 
         user: null,
@@ -168,7 +191,7 @@ export function createAuthPlugin(options) {
 
   // Настраиваем interceptors
   // Используем функции, чтобы всегда получать актуальное значение токена
-  setupRequestInterceptor(apiClient, () => tokenManager.getToken());
+  setupRequestInterceptor(apiClient, () => tokenManager.getToken(), logger);
   setupResponseInterceptor(
     apiClient,
     redirectToAuth,
@@ -177,7 +200,9 @@ export function createAuthPlugin(options) {
       token.value = null;
     },
     redirectCooldown,
-    () => tokenManager.getToken()
+    () => tokenManager.getToken(),
+    silentRefresh ? refreshToken : null,
+    logger
   );
 
   // Создаем экземпляр auth для composable
@@ -195,6 +220,7 @@ export function createAuthPlugin(options) {
     fetchUser,
     loadConfig,
     handleTokenFromQuery,
+    refreshToken,
     clearConfigCache,
     initialize,
   };
@@ -204,7 +230,7 @@ export function createAuthPlugin(options) {
 
   // Загружаем конфигурацию автоматически при регистрации плагина
   loadConfig().catch((error) => {
-    console.error('Failed to load auth config on plugin initialization:', error);
+    logger.error('Failed to load auth config on plugin initialization', error);
     if (onConfigError) {
       onConfigError(error);
     }
@@ -0,0 +1,8 @@
+// Логгер пакета: внешний (options.logger в createAuthPlugin) или stork-logger с выводом в console
+// По умолчанию выводятся только предупреждения и ошибки; токены и коды в записи не попадают
+
+import { toLogger } from 'stork-logger';
+
+export function resolveLogger(logger) {
+  return toLogger(logger, { name: 'vue-auth-client', level: 'warn', format: 'pretty' });
+}
@@ -1,30 +1,34 @@
 // Утилиты для работы с хранилищем (абстракция над localStorage/sessionStorage)
 
-export function getItem(key, storage = localStorage) {
+import { resolveLogger } from './logger.js';
+
+const defaultLogger = resolveLogger();
+
+export function getItem(key, storage = localStorage, logger = defaultLogger) {
   try {
     return storage.getItem(key);
   } catch (e) {
-    console.warn(`Failed to get item from storage: ${key}`, e);
+    logger.warn('Failed to get item from storage', { key, error: e });
     return null;
   }
 }
 
-export function setItem(key, value, storage = localStorage) {
+export function setItem(key, value, storage = localStorage, logger = defaultLogger) {
   try {
     storage.setItem(key, value);
     return true;
   } catch (e) {
-    console.warn(`Failed to set item in storage: ${key}`, e);
+    logger.warn('Failed to set item in storage', { key, error: e });
     return false;
   }
 }
 
-export function removeItem(key, storage = localStorage) {
+export function removeItem(key, storage = localStorage, logger = defaultLogger) {
   try {
     storage.removeItem(key);
     return true;
   } catch (e) {
-    console.warn(`Failed to remove item from storage: ${key}`, e);
+    logger.warn('Failed to remove item from storage', { key, error: e });
     return false;
   }
 }